@@ -15,6 +15,19 @@ module.exports = {
         sourceType: "script",
       },
     },
+    {
+      env: {
+        node: true,
+      },
+      files: ["src/**/*.js"],
+    },
+    {
+      env: {
+        node: true,
+        jest: true,
+      },
+      files: ["test/**/*.js"],
+    },
   ],
   parserOptions: {
     ecmaVersion: "latest",
@@ -0,0 +1,86 @@
+const cors = require("cors");
+const express = require("express");
+const bodyParser = require("body-parser");
+const cookieParser = require("cookie-parser");
+
+const { ENVIRONMENT, APP_URL } = require("./config");
+const { requestLogger } = require("./services/logger");
+const { ERROR_REGISTRY } = require("./utils/errors");
+const { asyncHandler, notFound, errorHandler } = require("./services/error_handler");
+const { metricsMiddleware, noteMountPath, renderMetrics, authorizeScrape } = require("./services/metrics");
+const { setupSentry } = require("./services/sentry");
+
+const lastDeployedAt = new Date();
+
+/**
+ * The express app with every route, neither listening nor connected to Mongo: services/lifecycle takes care of that.
+ * Tests can send requests to it with supertest or app.listen(0).
+ */
+function createApp() {
+  const app = express();
+  setupSentry(app);
+
+  // Deployed behind a reverse proxy: req.ip must be the client address, not the proxy's
+  app.set("trust proxy", 1);
+
+  app.use(requestLogger);
+  app.use(metricsMiddleware);
+  app.use(cors({ credentials: true, origin: [APP_URL, "your production url because sometimes theres a cors issue"] }));
+  app.use(cookieParser());
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: true }));
+
+  app.get("/", async (req, res) => {
+    res.status(200).send({
+      name: "api",
+      environment: ENVIRONMENT,
+      last_deployed_at: lastDeployedAt.toLocaleString(),
+    });
+  });
+
+  // Every error code with its status and message, for the front-end
+  app.get("/errors", (req, res) => {
+    const data = Object.entries(ERROR_REGISTRY).map(([code, { status, message }]) => ({ code, status, message }));
+    res.status(200).send({ ok: true, data });
+  });
+
+  // Routers are labelled in metrics and error reports with the path they are mounted at
+  const mount = (path, router) => app.use(path, noteMountPath, router);
+
+  mount("/health", require("./controllers/health"));
+
+  // Prometheus scrapes
+  app.get(
+    "/metrics",
+    authorizeScrape,
+    asyncHandler(async (req, res) => {
+      res
+        .status(200)
+        .type("text/plain; version=0.0.4")
+        .send(await renderMetrics());
+    }),
+  );
+
+  require("./services/passport")(app);
+
+  mount("/user", require("./controllers/user"));
+  mount("/file", require("./controllers/file"));
+  mount("/role", require("./controllers/role"));
+  mount("/email", require("./controllers/email"));
+  mount("/message", require("./controllers/message"));
+  // The mailbox is only mounted while a transport captures messages instead of sending them, and never in production:
+  // it answers rendered bodies, with their verification and reset links
+  if (ENVIRONMENT !== "production" && require("./services/transport").isCapturing) {
+    mount("/dev", require("./controllers/dev"));
+  }
+  mount("/dummy", require("./controllers/dummy_controller"));
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+};
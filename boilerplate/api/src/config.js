@@ -4,13 +4,74 @@ const PORT = process.env.PORT || 8080;
 const MONGODB_ENDPOINT = process.env.MONGODB_ENDPOINT;
 const SECRET = process.env.SECRET || "not-so-secret";
 const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const API_URL = process.env.API_URL || `http://localhost:${PORT}`;
+
+// "debug", "info", "warn" or "error". "json" logs one object per line, "pretty" readable lines, see services/logger.
+const LOG_LEVEL = process.env.LOG_LEVEL || (ENVIRONMENT === "production" ? "info" : "debug");
+const LOG_FORMAT = process.env.LOG_FORMAT || (ENVIRONMENT === "production" ? "json" : "pretty");
+
+// Errors are only reported when SENTRY_DSN is set. Sample rates go from 0 to 1: share of errors reported, and of
+// requests traced. RELEASE tags both, set it to the deployed commit or version.
+const SENTRY_DSN = process.env.SENTRY_DSN || "";
+const SENTRY_SAMPLE_RATE = Number(process.env.SENTRY_SAMPLE_RATE || 1);
+const SENTRY_TRACES_SAMPLE_RATE = Number(process.env.SENTRY_TRACES_SAMPLE_RATE || (ENVIRONMENT === "production" ? 0.1 : 0));
+const RELEASE = process.env.RELEASE || "";
+
+// /metrics answers anyone unless set, then scrapers must send it as a bearer token
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
 
 const S3_ENDPOINT = process.env.S3_ENDPOINT || "";
+const S3_REGION = process.env.S3_REGION || "";
+const S3_BUCKET = process.env.S3_BUCKET || "bank";
 const S3_ACCESSKEYID = process.env.S3_ACCESSKEYID || "";
 const S3_SECRETACCESSKEY = process.env.S3_SECRETACCESSKEY || "";
+// Required by MinIO
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE === "true";
+
+// "local" keeps uploads on disk under STORAGE_LOCAL_PATH, "s3" sends them to any S3 compatible service
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (S3_ENDPOINT ? "s3" : "local");
+const STORAGE_LOCAL_PATH = process.env.STORAGE_LOCAL_PATH || "storage";
+
+// clamd daemon scanning every upload, disabled when CLAMAV_HOST is empty
+const CLAMAV_HOST = process.env.CLAMAV_HOST || "";
+const CLAMAV_PORT = Number(process.env.CLAMAV_PORT) || 3310;
 
 const BREVO_KEY = process.env.BREVO_KEY || "";
 
+// "brevo", "smtp" (emails only) or "capture": captured messages are only stored, and read in the /dev/mailbox page.
+// Nothing leaves the API outside of production unless configured.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (ENVIRONMENT === "production" ? "brevo" : "capture");
+const SMS_TRANSPORT = process.env.SMS_TRANSPORT || (ENVIRONMENT === "production" ? "brevo" : "capture");
+const MAIL_SENDER_NAME = process.env.MAIL_SENDER_NAME || "Your Name";
+const MAIL_SENDER_EMAIL = process.env.MAIL_SENDER_EMAIL || "Your Email";
+const SMS_SENDER_NAME = process.env.SMS_SENDER_NAME || "Your Name";
+
+// Phone numbers typed without their country calling code are read as numbers of the user's country, or of this one
+const DEFAULT_COUNTRY = process.env.DEFAULT_COUNTRY || "FR";
+
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 587;
+// TLS from the start (port 465), otherwise upgraded with STARTTLS when the server offers it
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || "";
+
+// Shared secret sent by the provider with delivery webhooks (/email/webhook/:provider) as a bearer token or basic auth
+// password, see services/delivery. Webhooks are refused while it is empty.
+const EMAIL_WEBHOOK_SECRET = process.env.EMAIL_WEBHOOK_SECRET || "";
+
+// Users cannot sign in before clicking the link sent at signup
+const EMAIL_VERIFICATION_REQUIRED = process.env.EMAIL_VERIFICATION_REQUIRED === "true";
+
+// Milliseconds given to in-flight requests and background workers to finish on SIGTERM, before exiting anyway
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT) || 10000;
+
+// "memory" for a single instance, "mongo" to share rate limits between instances
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+const MFA_ISSUER = process.env.MFA_ISSUER || "Boilerplate";
+// Admins must enroll TOTP before they can sign in
+const MFA_REQUIRED_FOR_ADMINS = process.env.MFA_REQUIRED_FOR_ADMINS === "true";
 
 const CONFIG = {
   ENVIRONMENT,
@@ -18,12 +79,42 @@ const CONFIG = {
   MONGODB_ENDPOINT,
   SECRET,
   APP_URL,
+  API_URL,
+  LOG_LEVEL,
+  LOG_FORMAT,
+  SENTRY_DSN,
+  SENTRY_SAMPLE_RATE,
+  SENTRY_TRACES_SAMPLE_RATE,
+  RELEASE,
+  METRICS_TOKEN,
+  STORAGE_DRIVER,
+  STORAGE_LOCAL_PATH,
   S3_ENDPOINT,
+  S3_REGION,
+  S3_BUCKET,
   S3_ACCESSKEYID,
   S3_SECRETACCESSKEY,
+  S3_FORCE_PATH_STYLE,
+  CLAMAV_HOST,
+  CLAMAV_PORT,
   BREVO_KEY,
+  MAIL_TRANSPORT,
+  SMS_TRANSPORT,
+  MAIL_SENDER_NAME,
+  MAIL_SENDER_EMAIL,
+  SMS_SENDER_NAME,
+  DEFAULT_COUNTRY,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASSWORD,
+  EMAIL_WEBHOOK_SECRET,
+  EMAIL_VERIFICATION_REQUIRED,
+  SHUTDOWN_TIMEOUT,
+  RATE_LIMIT_STORE,
+  MFA_ISSUER,
+  MFA_REQUIRED_FOR_ADMINS,
 };
 
-if (ENVIRONMENT === "development") console.log(CONFIG);
-
 module.exports = CONFIG;
@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const passport = require("passport");
+const CapturedMessageObject = require("../models/captured_message");
+const { NotFoundError } = require("../utils/errors");
+const { asyncHandler } = require("../services/error_handler");
+const { authorize } = require("../services/rbac");
+const { createSearch } = require("../services/search");
+const { validate, idParams } = require("../services/validation");
+
+const authenticate = passport.authenticate("jwt", { session: false, failWithError: true });
+
+// Messages kept by the "capture" transport, see services/transport
+const mailboxSearch = createSearch({
+  fields: { channel: "string", "to.email": "string", recipient: "string", createdAt: "date" },
+  searchFields: ["to.email", "recipient", "subject"],
+  sortFields: ["createdAt"],
+});
+
+router.post(
+  "/mailbox/search",
+  authenticate,
+  authorize("mailbox:read"),
+  validate({ body: mailboxSearch.body }),
+  asyncHandler(async (req, res) => {
+    // The list only needs the headers, bodies are fetched one message at a time
+    const page = await mailboxSearch.run(CapturedMessageObject, req.body, { select: "-html -text" });
+    return res.status(200).send({ ok: true, ...page });
+  }),
+);
+
+router.get(
+  "/mailbox/:id",
+  authenticate,
+  authorize("mailbox:read"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const message = await CapturedMessageObject.findById(req.params.id);
+    if (!message) throw new NotFoundError();
+    return res.status(200).send({ ok: true, data: message });
+  }),
+);
+
+router.delete(
+  "/mailbox",
+  authenticate,
+  authorize("mailbox:delete"),
+  asyncHandler(async (req, res) => {
+    await CapturedMessageObject.deleteMany({});
+    return res.status(200).send({ ok: true });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require("express");
+const router = express.Router();
+const passport = require("passport");
+const EmailDeliveryObject = require("../models/email_delivery");
+const EmailSuppressionObject = require("../models/email_suppression");
+const ERROR_CODES = require("../utils/errorCodes");
+const { NotFoundError, UnauthorizedError } = require("../utils/errors");
+const { asyncHandler } = require("../services/error_handler");
+const { authorize } = require("../services/rbac");
+const { LOCALES, DEFAULT_LOCALE, EmailTemplateError, listTemplates, previewEmail } = require("../services/email");
+const { verifyWebhookAuth, lift, ingestWebhook } = require("../services/delivery");
+const { createSearch } = require("../services/search");
+const { v, validate, idParams } = require("../services/validation");
+
+const authenticate = passport.authenticate("jwt", { session: false, failWithError: true });
+
+// `format` picks the html or text version alone, to open the preview in a browser
+const previewQuery = v.object({
+  locale: v.string().trim().enum(LOCALES).default(DEFAULT_LOCALE),
+  format: v.string().trim().enum(["json", "html", "text"]).default("json"),
+});
+
+const deliverySearch = createSearch({
+  fields: {
+    user: "id",
+    message: "id",
+    email: "string",
+    template: "string",
+    status: "string",
+    provider_message_id: "string",
+    createdAt: "date",
+    updatedAt: "date",
+  },
+  searchFields: ["email"],
+  sortFields: ["createdAt", "updatedAt"],
+});
+const suppressionSearch = createSearch({
+  fields: { email: "string", reason: "string", active: "boolean", createdAt: "date", lifted_at: "date" },
+  searchFields: ["email", "detail"],
+  sortFields: ["createdAt"],
+});
+
+// Called by the email provider, authenticated by the shared EMAIL_WEBHOOK_SECRET instead of a user
+router.post(
+  "/webhook/:provider",
+  asyncHandler(async (req, res) => {
+    if (!verifyWebhookAuth(req.get("Authorization"))) {
+      throw new UnauthorizedError(ERROR_CODES.INVALID_WEBHOOK_CREDENTIALS);
+    }
+    // Providers send the webhook again after an error status
+    const count = await ingestWebhook(req.params.provider, req.body);
+    if (count === null) throw new NotFoundError();
+    return res.status(200).send({ ok: true, data: { count } });
+  }),
+);
+
+router.post(
+  "/deliveries/search",
+  authenticate,
+  authorize("email:read"),
+  validate({ body: deliverySearch.body }),
+  asyncHandler(async (req, res) => {
+    const page = await deliverySearch.run(EmailDeliveryObject, req.body, {
+      populate: { path: "user", select: "name email" },
+    });
+    return res.status(200).send({ ok: true, ...page });
+  }),
+);
+
+router.post(
+  "/suppressions/search",
+  authenticate,
+  authorize("email:read"),
+  validate({ body: suppressionSearch.body }),
+  asyncHandler(async (req, res) => {
+    const page = await suppressionSearch.run(EmailSuppressionObject, req.body);
+    return res.status(200).send({ ok: true, ...page });
+  }),
+);
+
+// Emails are sent to the address again, until its next bounce or complaint
+router.delete(
+  "/suppressions/:id",
+  authenticate,
+  authorize("email:write"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const suppression = await lift(req.params.id, req.user);
+    if (!suppression) throw new NotFoundError();
+    return res.status(200).send({ ok: true, data: suppression });
+  }),
+);
+
+router.get(
+  "/templates",
+  authenticate,
+  authorize("email:read"),
+  asyncHandler(async (req, res) => {
+    return res.status(200).send({ ok: true, data: listTemplates() });
+  }),
+);
+
+router.get(
+  "/templates/:name/preview",
+  authenticate,
+  authorize("email:read"),
+  validate({ query: previewQuery }),
+  asyncHandler(async (req, res) => {
+    let email;
+    try {
+      email = previewEmail(req.params.name, { locale: req.query.locale });
+    } catch (error) {
+      if (error instanceof EmailTemplateError) throw new NotFoundError();
+      throw error;
+    }
+    if (req.query.format === "html") return res.status(200).type("html").send(email.html);
+    if (req.query.format === "text") return res.status(200).type("text").send(email.text);
+    return res.status(200).send({ ok: true, data: email });
+  }),
+);
+
+module.exports = router;
@@ -1,37 +1,134 @@
 const express = require("express");
+const { pipeline } = require("stream");
 const router = express.Router();
-const crypto = require("crypto");
-const { uploadToS3FromBuffer } = require("../utils");
-
-router.post("/", async (req, res) => {
-  const { files, folder } = req.body;
-
-  if (!folder) return res.status(400).send({ ok: false, message: "No folder specified" });
-
-  if (!files) return res.status(400).send({ ok: false, message: "No files uploaded" });
-
-  // Ensure 'files' is always an array
-  const filesArray = Array.isArray(files) ? files : [files];
-
-  const uploadPromises = filesArray
-    .map((file) => {
-      const base64ContentArray = file.rawBody.split(",");
-      const contentType = base64ContentArray[0].match(/[^:\s*]\w+\/[\w-+\d.]+(?=[;| ])/)[0];
-      const extension = file.name.split(".").pop();
-      const buffer = Buffer.from(base64ContentArray[1], "base64");
-      const uuid = crypto.randomBytes(16).toString("hex");
-
-      return uploadToS3FromBuffer(`file${folder}/${uuid}/${file.name}.${extension}`, buffer, contentType);
-    })
-    .filter((promise) => promise !== null); // Filter out the nulls
-
-  try {
-    const urls = await Promise.all(uploadPromises);
-    return res.status(200).send({ ok: true, data: urls });
-  } catch (error) {
-    console.error(error);
-    return res.status(500).send({ ok: false, message: "Error in file upload" });
-  }
+const passport = require("passport");
+const FileObject = require("../models/file");
+const { STORAGE_DRIVER } = require("../config");
+const { ForbiddenError, NotFoundError } = require("../utils/errors");
+const { asyncHandler } = require("../services/error_handler");
+const { authorize, hasPermission } = require("../services/rbac");
+const { storage } = require("../services/storage");
+const { IMAGE_VARIANTS } = require("../services/image");
+const { UPLOAD_RULES, receiveFiles, storageKeys } = require("../services/upload");
+const { v, validate, idParams } = require("../services/validation");
+
+// Signed urls of private files stop working after 15 minutes
+const SIGNED_URL_EXPIRES_IN = 15 * 60;
+
+const authenticate = passport.authenticate("jwt", { session: false, failWithError: true });
+
+// The body is the multipart stream itself, so the folder comes in the query string
+const uploadQuery = v.object({ folder: v.string().trim().enum(Object.keys(UPLOAD_RULES)).required() });
+// `stream` sends the content itself instead of urls, of `variant` if given
+const fileQuery = v.object({
+  stream: v.boolean().default(false),
+  variant: v.string().enum(Object.keys(IMAGE_VARIANTS)),
 });
 
+// Owners reach their own files, `permission` grants access to everyone's
+function canAccess(user, file, permission) {
+  return file.owner.equals(user._id) || hasPermission(user, permission);
+}
+
+// Storage keys stay internal
+function serialize(file) {
+  const data = file.toObject();
+  delete data.key;
+  for (const variant of data.variants) delete variant.key;
+  return data;
+}
+
+// Private files and their variants are only reachable through signed urls
+async function withUrls(file) {
+  const data = serialize(file);
+  if (file.isPublic()) return { ...data, expires_at: null };
+
+  const sign = (key) => storage.signedUrl(key, { expiresIn: SIGNED_URL_EXPIRES_IN });
+  const url = await sign(file.key);
+  const urls = await Promise.all(file.variants.map(({ key }) => sign(key)));
+  const variants = data.variants.map((variant, i) => ({ ...variant, url: urls[i] }));
+  return { ...data, url, variants, expires_at: new Date(Date.now() + SIGNED_URL_EXPIRES_IN * 1000) };
+}
+
+// Streams the content of `key` as the response. Storage failures go to errorHandler, which reports them and closes
+// the connection: the content may have started. Clients leaving early are no failure.
+function sendContent(res, key, next) {
+  pipeline(storage.get(key), res, (error) => {
+    if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") next(error);
+  });
+}
+
+// Rejected files answer an UploadError, see services/upload
+router.post(
+  "/",
+  authenticate,
+  authorize("file:write"),
+  validate({ query: uploadQuery }),
+  asyncHandler(async (req, res) => {
+    const files = await receiveFiles(req, { folder: req.query.folder, owner: req.user._id });
+    return res.status(200).send({ ok: true, data: files.map(serialize) });
+  }),
+);
+
+// The local driver has no server of its own. Private files need the signature of storage.signedUrl().
+if (STORAGE_DRIVER === "local") {
+  router.get(
+    "/local/*",
+    asyncHandler(async (req, res, next) => {
+      const key = req.params[0];
+      if (!storage.contains(key)) throw new NotFoundError();
+
+      const head = await storage.head(key);
+      if (!head) throw new NotFoundError();
+
+      if (!(await storage.isPublic(key)) && !storage.verifySignature(key, req.query)) throw new ForbiddenError();
+
+      res.set({ "Content-Type": head.contentType, "Content-Length": head.size, "Cache-Control": "max-age=31536000" });
+      sendContent(res, key, next);
+    }),
+  );
+}
+
+router.get(
+  "/:id",
+  authenticate,
+  validate({ params: idParams, query: fileQuery }),
+  asyncHandler(async (req, res, next) => {
+    const file = await FileObject.findById(req.params.id).select("+key");
+    if (!file) throw new NotFoundError();
+    if (!file.isPublic() && !canAccess(req.user, file, "file:read")) throw new ForbiddenError();
+
+    if (req.query.stream) {
+      const content = req.query.variant ? file.variants.find(({ name }) => name === req.query.variant) : file;
+      if (!content) throw new NotFoundError();
+
+      res.set({
+        "Content-Type": content.type,
+        "Content-Length": content.size,
+        "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+        "Cache-Control": file.isPublic() ? "max-age=31536000" : "private, no-store",
+      });
+      return sendContent(res, content.key, next);
+    }
+
+    return res.status(200).send({ ok: true, data: await withUrls(file) });
+  }),
+);
+
+router.delete(
+  "/:id",
+  authenticate,
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const file = await FileObject.findById(req.params.id).select("+key");
+    if (!file) throw new NotFoundError();
+    if (!canAccess(req.user, file, "file:delete")) throw new ForbiddenError();
+
+    await Promise.all(storageKeys(file).map((key) => storage.delete(key)));
+    await file.deleteOne();
+
+    return res.status(200).send({ ok: true });
+  }),
+);
+
 module.exports = router;
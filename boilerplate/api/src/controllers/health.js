@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+
+const { asyncHandler } = require("../services/error_handler");
+const { logger } = require("../services/logger");
+const { withTimeout } = require("../utils");
+
+// A check taking longer fails, probes must answer before the orchestrator gives up on them
+const CHECK_TIMEOUT = 2000;
+
+// Whether requests can be served: Mongo. Storage and the queue backlog are left to /metrics and its alerts, every
+// instance would leave the load balancer at once over them, although serving requests is how they recover.
+async function checkMongo() {
+  const state = mongoose.connection.readyState;
+  if (state !== mongoose.ConnectionStates.connected) throw new Error(`mongodb ${mongoose.STATES[state]}`);
+  await mongoose.connection.db.admin().ping();
+}
+
+// The process is up and answering. Nothing else is checked, a restart would not fix a dependency.
+router.get("/live", (req, res) => {
+  return res.status(200).send({ ok: true });
+});
+
+// 503 for load balancers to route around the instance. Probes are anonymous: why is only logged.
+router.get(
+  "/ready",
+  asyncHandler(async (req, res) => {
+    try {
+      await withTimeout(checkMongo(), CHECK_TIMEOUT);
+      return res.status(200).send({ ok: true });
+    } catch (error) {
+      logger.warn("not ready", { error });
+      return res.status(503).send({ ok: false });
+    }
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const passport = require("passport");
+const MessageObject = require("../models/message");
+const { NotFoundError } = require("../utils/errors");
+const { asyncHandler } = require("../services/error_handler");
+const { authorize } = require("../services/rbac");
+const { retry } = require("../services/queue");
+const { createSearch } = require("../services/search");
+const { validate, idParams } = require("../services/validation");
+
+const authenticate = passport.authenticate("jwt", { session: false, failWithError: true });
+
+// Outbound queue, for admins to follow deliveries and send dead messages again
+const messageSearch = createSearch({
+  fields: {
+    channel: "string",
+    status: "string",
+    attempts: "number",
+    idempotency_key: "string",
+    run_at: "date",
+    sent_at: "date",
+    createdAt: "date",
+  },
+  searchFields: ["last_error"],
+  sortFields: ["run_at", "sent_at", "createdAt"],
+});
+// Bodies are never answered, see models/message: they are not even loaded
+const WITHOUT_BODIES = { "payload.html": 0, "payload.text": 0, "payload.content": 0 };
+
+router.post(
+  "/search",
+  authenticate,
+  authorize("message:read"),
+  validate({ body: messageSearch.body }),
+  asyncHandler(async (req, res) => {
+    const page = await messageSearch.run(MessageObject, req.body, { select: WITHOUT_BODIES });
+    return res.status(200).send({ ok: true, ...page });
+  }),
+);
+
+router.post(
+  "/:id/retry",
+  authenticate,
+  authorize("message:write"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const message = await retry(req.params.id);
+    if (!message) throw new NotFoundError();
+    return res.status(200).send({ ok: true, data: message });
+  }),
+);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require("express");
+const router = express.Router();
+const passport = require("passport");
+const RoleObject = require("../models/role");
+const UserObject = require("../models/user");
+const ERROR_CODES = require("../utils/errorCodes");
+const { ConflictError, ForbiddenError, NotFoundError } = require("../utils/errors");
+const { asyncHandler } = require("../services/error_handler");
+const { authorize, isValidPermission, PERMISSIONS } = require("../services/rbac");
+const { v, validate, idParams } = require("../services/validation");
+
+const authenticate = passport.authenticate("jwt", { session: false, failWithError: true });
+
+const permissions = () => v.array(v.string().test(isValidPermission, "is not a known permission"));
+const roleBody = v.object({
+  name: v.string().trim().required(),
+  description: v.string().trim(),
+  permissions: permissions().default([]),
+});
+const roleUpdateBody = v.object({
+  name: v.string().trim(),
+  description: v.string().trim(),
+  permissions: permissions(),
+});
+
+router.get("/permissions", authenticate, authorize("role:read"), async (req, res) => {
+  return res.status(200).send({ ok: true, data: PERMISSIONS });
+});
+
+router.get(
+  "/",
+  authenticate,
+  authorize("role:read"),
+  asyncHandler(async (req, res) => {
+    const roles = await RoleObject.find({}).sort({ name: 1 });
+
+    return res.status(200).send({ ok: true, data: roles });
+  }),
+);
+
+router.get(
+  "/:id",
+  authenticate,
+  authorize("role:read"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const role = await RoleObject.findById(req.params.id);
+
+    if (!role) throw new NotFoundError();
+
+    return res.status(200).send({ ok: true, data: role });
+  }),
+);
+
+router.post(
+  "/",
+  authenticate,
+  authorize("role:write"),
+  validate({ body: roleBody }),
+  asyncHandler(async (req, res) => {
+    const { name, description, permissions } = req.body;
+
+    const role = await RoleObject.create({ name, description, permissions });
+
+    return res.status(200).send({ ok: true, data: role });
+  }),
+);
+
+router.put(
+  "/:id",
+  authenticate,
+  authorize("role:write"),
+  validate({ params: idParams, body: roleUpdateBody }),
+  asyncHandler(async (req, res) => {
+    const role = await RoleObject.findById(req.params.id);
+
+    if (!role) throw new NotFoundError();
+
+    // System roles are looked up by name
+    if (role.system && req.body.name !== undefined && req.body.name !== role.name) {
+      throw new ForbiddenError(ERROR_CODES.ROLE_IS_SYSTEM);
+    }
+
+    if (req.body.name !== undefined) role.name = req.body.name;
+    if (req.body.description !== undefined) role.description = req.body.description;
+    if (req.body.permissions !== undefined) role.permissions = req.body.permissions;
+
+    await role.save();
+
+    return res.status(200).send({ ok: true, data: role });
+  }),
+);
+
+router.delete(
+  "/:id",
+  authenticate,
+  authorize("role:write"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const role = await RoleObject.findById(req.params.id);
+
+    if (!role) throw new NotFoundError();
+    if (role.system) throw new ForbiddenError(ERROR_CODES.ROLE_IS_SYSTEM);
+
+    const users = await UserObject.countDocuments({ role: role._id });
+    if (users) throw new ConflictError(ERROR_CODES.ROLE_IN_USE);
+
+    await role.deleteOne();
+
+    return res.status(200).send({ ok: true });
+  }),
+);
+
+module.exports = router;
@@ -1,279 +1,743 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const passport = require("passport");
-const jwt = require("jsonwebtoken");
 const router = express.Router();
 const crypto = require("crypto");
 
 const UserObject = require("../models/user");
+const RoleObject = require("../models/role");
+const FileObject = require("../models/file");
+const SessionObject = require("../models/session");
 
 const config = require("../config");
-const { validatePassword, uploadToS3FromBuffer } = require("../utils");
-const { BREVO_TEMPLATES } = require("../utils");
-
-const brevo = require("../services/brevo");
-const { capture } = require("../services/sentry");
-
-const SERVER_ERROR = "SERVER_ERROR";
-const USER_ALREADY_REGISTERED = "USER_ALREADY_REGISTERED";
-const PASSWORD_NOT_VALIDATED = "PASSWORD_NOT_VALIDATED";
-const EMAIL_OR_PASSWORD_INVALID = "EMAIL_OR_PASSWORD_INVALID";
-const PASSWORD_INVALID = "PASSWORD_INVALID";
-const EMAIL_AND_PASSWORD_REQUIRED = "EMAIL_AND_PASSWORD_REQUIRED";
-const PASSWORD_TOKEN_EXPIRED_OR_INVALID = "PASSWORD_TOKEN_EXPIRED_OR_INVALID";
-const PASSWORDS_NOT_MATCH = "PASSWORDS_NOT_MATCH";
-const ACOUNT_NOT_ACTIVATED = "ACOUNT_NOT_ACTIVATED";
-const USER_NOT_EXISTS = "USER_NOT_EXISTS";
-
-// 1 year
-const COOKIE_MAX_AGE = 31557600000;
-const JWT_MAX_AGE = "1y";
+const ERROR_CODES = require("../utils/errorCodes");
+const {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+} = require("../utils/errors");
+const { validatePassword } = require("../utils");
+const { isCountry } = require("../utils/phone");
+
+const { LOCALES, DEFAULT_LOCALE, sendEmail } = require("../services/email");
+const { asyncHandler } = require("../services/error_handler");
+const {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  touchSession,
+  listActiveSessions,
+  revokeSessionFromRefreshToken,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies,
+} = require("../services/session");
+const mfa = require("../services/mfa");
+const phoneVerification = require("../services/phone_verification");
+const { rateLimit, byIp, byEmail, byUser } = require("../services/rate_limit");
+const { authorize, hasPermission, getDefaultRole } = require("../services/rbac");
+const { createSearch } = require("../services/search");
+const { v, validate, idParams } = require("../services/validation");
+
+// 48 hours
+const EMAIL_VERIFICATION_MAX_AGE = 172800000;
+// Minimum delay between two verification emails
+const EMAIL_VERIFICATION_RESEND_DELAY = 60000;
+
+const MFA_FIELDS = "+mfa_secret +mfa_pending_secret +mfa_recovery_codes +mfa_last_step";
+
+// 15 minutes
+const AUTH_RATE_LIMIT_WINDOW = 900000;
+// 1 hour
+const EMAIL_RATE_LIMIT_WINDOW = 3600000;
+
+const signinLimiter = [
+  rateLimit({ name: "signin_ip", windowMs: AUTH_RATE_LIMIT_WINDOW, max: 30, key: byIp }),
+  rateLimit({ name: "signin_email", windowMs: AUTH_RATE_LIMIT_WINDOW, max: 10, key: byEmail }),
+];
+const mfaLimiter = rateLimit({ name: "signin_mfa_ip", windowMs: AUTH_RATE_LIMIT_WINDOW, max: 20, key: byIp });
+const forgotPasswordLimiter = [
+  rateLimit({ name: "forgot_password_ip", windowMs: EMAIL_RATE_LIMIT_WINDOW, max: 20, key: byIp }),
+  rateLimit({ name: "forgot_password_email", windowMs: EMAIL_RATE_LIMIT_WINDOW, max: 5, key: byEmail }),
+];
+const forgotPasswordResetLimiter = rateLimit({
+  name: "forgot_password_reset_ip",
+  windowMs: AUTH_RATE_LIMIT_WINDOW,
+  max: 20,
+  key: byIp,
+});
+const verifyEmailLimiter = rateLimit({
+  name: "verify_email_ip",
+  windowMs: EMAIL_RATE_LIMIT_WINDOW,
+  max: 20,
+  key: byIp,
+});
+const changeEmailLimiter = rateLimit({
+  name: "change_email_user",
+  windowMs: EMAIL_RATE_LIMIT_WINDOW,
+  max: 5,
+  key: byUser,
+});
+// Every code is an SMS we pay for
+const phoneLimiter = rateLimit({ name: "phone_user", windowMs: EMAIL_RATE_LIMIT_WINDOW, max: 5, key: byUser });
+const verifyPhoneLimiter = rateLimit({
+  name: "verify_phone_user",
+  windowMs: AUTH_RATE_LIMIT_WINDOW,
+  max: 20,
+  key: byUser,
+});
 
-router.post("/signin", async (req, res) => {
-  let { password, email } = req.body;
-  email = (email || "").trim().toLowerCase();
+const authenticate = passport.authenticate("jwt", { session: false, failWithError: true });
 
-  if (!email || !password) return res.status(400).send({ ok: false, code: EMAIL_AND_PASSWORD_REQUIRED });
+const signinBody = v.object({ email: v.string().trim().lowercase().required(), password: v.string().required() });
+const signinMfaBody = v.object({
+  mfa_token: v.string().required(),
+  code: v.string().trim(),
+  recovery_code: v.string().trim(),
+});
+const signupBody = v.object({
+  name: v.string().trim(),
+  email: v.string().trim().lowercase().email().required(),
+  password: v.string().required(),
+});
+const emailBody = v.object({ email: v.string().trim().lowercase().required() });
+const changeEmailBody = v.object({
+  email: v.string().trim().lowercase().email().required(),
+  password: v.string().required(),
+});
+const tokenBody = v.object({ token: v.string().required() });
+const mfaCodeBody = v.object({ code: v.string().trim().required() });
+const phoneBody = v.object({ phone: v.string().trim().required(), country: v.string().trim() });
+const phoneCodeBody = v.object({ code: v.string().trim().required() });
+const mfaDisableBody = v.object({
+  password: v.string().required(),
+  code: v.string().trim(),
+  recovery_code: v.string().trim(),
+});
+const forgotPasswordResetBody = v.object({ token: v.string().required(), password: v.string().required() });
+const resetPasswordBody = v.object({
+  password: v.string().required(),
+  newPassword: v.string().required(),
+  verifyPassword: v.string().required(),
+});
+const userSearch = createSearch({
+  fields: {
+    name: "string",
+    email: "string",
+    role: "id",
+    verified_at: "date",
+    last_login_at: "date",
+    createdAt: "date",
+  },
+  searchFields: ["name", "email"],
+  sortFields: ["name", "email", "last_login_at", "createdAt"],
+  maxLimit: 200,
+});
+// Fields are checked against the user model whitelists, which report the forbidden ones
+const userBody = v.object({}, { unknown: "allow" });
+
+// For values the body schemas cannot check on their own
+const invalidField = (field) =>
+  new ValidationError(undefined, { details: { errors: [{ path: `body.${field}`, message: "is not valid" }] } });
+
+function lockedError(user) {
+  const retryAfter = Math.ceil((user.locked_until.getTime() - Date.now()) / 1000);
+  return new AppError(ERROR_CODES.ACCOUNT_LOCKED, { headers: { "Retry-After": retryAfter } });
+}
+
+// Idempotency keys are listed by /message/search, which leaves out message bodies: tokens only appear hashed in keys
+const tokenKey = (purpose, user, token) =>
+  `${purpose}:${user._id}:${crypto.createHash("sha256").update(token).digest("hex")}`;
+
+// Sent to the pending address when the user is changing it, to the current one otherwise
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(20).toString("hex");
+  user.set({
+    email_verification_token: token,
+    email_verification_expires: Date.now() + EMAIL_VERIFICATION_MAX_AGE,
+    email_verification_sent_at: Date.now(),
+  });
+  await user.save();
+
+  await sendEmail(
+    "email_verification",
+    {
+      to: [{ email: user.pending_email || user.email, name: user.name }],
+      locale: user.language,
+      params: { name: user.name, cta: `${config.APP_URL}/auth/verify?token=${token}` },
+    },
+    { idempotencyKey: tokenKey("email_verification", user, token) },
+  );
+}
+
+router.post(
+  "/signin",
+  signinLimiter,
+  validate({ body: signinBody }),
+  asyncHandler(async (req, res) => {
+    const { password, email } = req.body;
+
+    const user = await UserObject.findOne({ email }).populate("role");
+    if (!user) throw new UnauthorizedError(ERROR_CODES.USER_NOT_EXISTS);
+
+    if (user.isLocked()) throw lockedError(user);
+
+    const match = await user.comparePassword(password);
+    if (!match) {
+      await user.registerFailedLogin();
+      throw new UnauthorizedError(ERROR_CODES.EMAIL_OR_PASSWORD_INVALID);
+    }
 
-  try {
-    const user = await UserObject.findOne({ email });
-    if (!user) return res.status(401).send({ ok: false, code: USER_NOT_EXISTS });
+    if (config.EMAIL_VERIFICATION_REQUIRED && !user.verified_at) {
+      throw new ForbiddenError(ERROR_CODES.ACOUNT_NOT_ACTIVATED);
+    }
 
-    const match = config.ENVIRONMENT === "development" || (await user.comparePassword(password));
-    if (!match) return res.status(401).send({ ok: false, code: EMAIL_OR_PASSWORD_INVALID });
+    // Second step: the client exchanges the mfa token and a code on /signin/mfa. Failed logins are only reset once
+    // signed in, failed codes count toward the lockout too.
+    if (user.mfa_enabled)
+      return res.status(200).send({ ok: true, mfa_required: true, mfa_token: mfa.signMfaToken(user) });
+    if (mfa.isMfaRequired(user)) {
+      const enrollment = mfa.startEnrollment(user);
+      await user.save();
+      return res
+        .status(200)
+        .send({ ok: true, mfa_enrollment_required: true, mfa_token: mfa.signMfaToken(user), ...enrollment });
+    }
 
+    user.resetFailedLogins();
     user.set({ last_login_at: Date.now() });
     await user.save();
 
-    let cookieOptions = { maxAge: COOKIE_MAX_AGE, httpOnly: true };
-    if (config.ENVIRONMENT === "development") {
-      cookieOptions = { ...cookieOptions, secure: false, domain: "localhost", sameSite: "Lax" };
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setAuthCookies(res, { accessToken, refreshToken });
+
+    return res.status(200).send({ ok: true, token: accessToken, user });
+  }),
+);
+
+router.post(
+  "/signin/mfa",
+  mfaLimiter,
+  validate({ body: signinMfaBody }),
+  asyncHandler(async (req, res) => {
+    const payload = mfa.verifyMfaToken(req.body.mfa_token);
+    if (!payload) throw new UnauthorizedError(ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID);
+
+    const user = await UserObject.findById(payload._id).select(MFA_FIELDS);
+    if (!user) throw new UnauthorizedError(ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID);
+    if (user.isLocked()) throw lockedError(user);
+
+    // Users forced to enroll confirm their new secret here, and get their recovery codes
+    let recovery_codes;
+    if (user.mfa_enabled) {
+      const valid = await mfa.verifySecondFactor(user, req.body);
+      if (!valid) {
+        await user.registerFailedLogin();
+        throw new UnauthorizedError(ERROR_CODES.MFA_CODE_INVALID);
+      }
     } else {
-      cookieOptions = { ...cookieOptions, secure: true, origin: "https://api-erasmus.cleverapps.io", sameSite: "none" };
+      recovery_codes = await mfa.completeEnrollment(user, req.body.code);
+      if (!recovery_codes) throw new UnauthorizedError(ERROR_CODES.MFA_CODE_INVALID);
     }
 
-    const token = jwt.sign({ _id: user.id }, config.SECRET, { expiresIn: JWT_MAX_AGE });
-    res.cookie("jwt", token, cookieOptions);
+    user.resetFailedLogins();
+    user.set({ last_login_at: Date.now() });
+    await user.save();
 
-    return res.status(200).send({ ok: true, token, user });
-  } catch (error) {
-    capture(error);
-    return res.status(500).send({ ok: false, code: SERVER_ERROR });
-  }
-});
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setAuthCookies(res, { accessToken, refreshToken });
+
+    // Loaded above with its secrets
+    const data = await UserObject.findById(user._id).populate("role");
+    return res.status(200).send({ ok: true, token: accessToken, user: data, recovery_codes });
+  }),
+);
 
-router.post("/signup", async (req, res) => {
-  try {
+router.post(
+  "/signup",
+  validate({ body: signupBody }),
+  asyncHandler(async (req, res) => {
     const { password, email, name } = req.body;
 
-    if (password && !validatePassword(password))
-      return res.status(400).send({ ok: false, user: null, code: PASSWORD_NOT_VALIDATED });
-
-    const user = await UserObject.create({ name, password, email });
-    const token = jwt.sign({ _id: user._id }, config.SECRET, { expiresIn: JWT_MAX_AGE });
-    const opts = {
-      maxAge: COOKIE_MAX_AGE,
-      secure: config.ENVIRONMENT === "development" ? false : true,
-      httpOnly: false,
-    };
-    res.cookie("jwt", token, opts);
-
-    return res.status(200).send({ user, token, ok: true });
-  } catch (error) {
-    console.log("e", error);
-    if (error.code === 11000) return res.status(409).send({ ok: false, code: USER_ALREADY_REGISTERED });
-    capture(error);
-    return res.status(500).send({ ok: false, code: SERVER_ERROR });
-  }
-});
+    if (!validatePassword(password)) throw new ValidationError(ERROR_CODES.PASSWORD_NOT_VALIDATED);
+
+    const role = await getDefaultRole();
+    // Emails are sent in the first language of the browser we have templates for
+    const language = req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+    const user = await UserObject.create({ name, password, email, language, role: role._id });
+    await sendVerificationEmail(user);
+
+    // The account stays unusable until the email link is clicked
+    if (config.EMAIL_VERIFICATION_REQUIRED)
+      return res.status(200).send({ user, verification_required: true, ok: true });
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+    setAuthCookies(res, { accessToken, refreshToken });
+
+    return res.status(200).send({ user, token: accessToken, ok: true });
+  }),
+);
+
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    const result = await rotateSession(req.cookies.refresh_token, req);
+    if (!result.ok) {
+      clearAuthCookies(res);
+      throw new UnauthorizedError(result.code);
+    }
+
+    setAuthCookies(res, { accessToken: result.accessToken, refreshToken: result.refreshToken });
+    return res.status(200).send({ ok: true, token: result.accessToken, user: result.user });
+  }),
+);
+
+router.post(
+  "/verify_email",
+  verifyEmailLimiter,
+  validate({ body: tokenBody }),
+  asyncHandler(async (req, res) => {
+    const user = await UserObject.findOne({
+      email_verification_token: req.body.token,
+      email_verification_expires: { $gt: Date.now() },
+    });
+    if (!user) throw new ValidationError(ERROR_CODES.EMAIL_VERIFICATION_TOKEN_EXPIRED_OR_INVALID);
+
+    user.set({ verified_at: Date.now(), email_verification_token: "", email_verification_expires: null });
+    if (user.pending_email) user.set({ email: user.pending_email, pending_email: undefined });
+    await user.save();
 
-router.post("/logout", async (req, res) => {
-  try {
-    res.clearCookie("jwt");
     return res.status(200).send({ ok: true });
-  } catch (error) {
-    capture(error);
-    return res.status(500).send({ ok: false, error });
-  }
-});
+  }),
+);
+
+// Keeps the current address until the new one is verified through /user/verify_email
+router.post(
+  "/email",
+  authenticate,
+  changeEmailLimiter,
+  validate({ body: changeEmailBody }),
+  asyncHandler(async (req, res) => {
+    const match = await req.user.comparePassword(req.body.password);
+    if (!match) throw new UnauthorizedError(ERROR_CODES.PASSWORD_INVALID);
+    if (await UserObject.exists({ email: req.body.email })) {
+      throw new ConflictError(ERROR_CODES.USER_ALREADY_REGISTERED);
+    }
+
+    req.user.set({ pending_email: req.body.email });
+    await sendVerificationEmail(req.user);
+    return res.status(200).send({ ok: true, data: req.user });
+  }),
+);
+
+// Unauthenticated, since unverified users may not be able to sign in. Never tells whether the address exists.
+router.post(
+  "/verify_email/resend",
+  verifyEmailLimiter,
+  validate({ body: emailBody }),
+  asyncHandler(async (req, res) => {
+    const user = await UserObject.findOne({ email: req.body.email });
+    if (!user || user.verified_at) return res.status(200).send({ ok: true });
+
+    const elapsed = Date.now() - (user.email_verification_sent_at?.getTime() || 0);
+    if (elapsed < EMAIL_VERIFICATION_RESEND_DELAY) {
+      throw new TooManyRequestsError(ERROR_CODES.EMAIL_VERIFICATION_ALREADY_SENT, {
+        retryAfter: EMAIL_VERIFICATION_RESEND_DELAY - elapsed,
+      });
+    }
 
-router.get("/signin_token", passport.authenticate(["user", "admin"], { session: false }), async (req, res) => {
-  try {
+    await sendVerificationEmail(user);
+    return res.status(200).send({ ok: true });
+  }),
+);
+
+router.post(
+  "/logout",
+  asyncHandler(async (req, res) => {
+    await revokeSessionFromRefreshToken(req.cookies.refresh_token, "logout");
+    clearAuthCookies(res);
+    return res.status(200).send({ ok: true });
+  }),
+);
+
+router.post(
+  "/logout_all",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    await revokeAllSessions(req.user, "logout_all");
+    clearAuthCookies(res);
+    return res.status(200).send({ ok: true });
+  }),
+);
+
+router.get(
+  "/signin_token",
+  authenticate,
+  asyncHandler(async (req, res) => {
     const { user } = req;
     user.set({ last_login_at: Date.now() });
     await user.save();
+    await touchSession(req.authInfo.session, req);
     return res.status(200).send({ user, token: req.cookies.jwt, ok: true });
-  } catch (error) {
-    capture(error);
-    return res.status(500).send({ ok: false, code: SERVER_ERROR });
-  }
-});
+  }),
+);
+
+router.get(
+  "/sessions",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const sessions = await listActiveSessions(req.user);
+    const currentId = req.authInfo.session._id.toString();
+    const data = sessions.map((s) => ({ ...s.toObject(), current: s._id.toString() === currentId }));
+    return res.status(200).send({ ok: true, data });
+  }),
+);
+
+router.delete(
+  "/sessions/:id",
+  authenticate,
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const session = await SessionObject.findOne({ _id: req.params.id, user: req.user._id, revoked_at: null });
+    if (!session) throw new NotFoundError();
+
+    await revokeSession(session, "revoked");
+    if (session._id.equals(req.authInfo.session._id)) clearAuthCookies(res);
+
+    return res.status(200).send({ ok: true });
+  }),
+);
+
+router.post(
+  "/mfa/setup",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    if (req.user.mfa_enabled) throw new ValidationError(ERROR_CODES.MFA_ALREADY_ENABLED);
+
+    const enrollment = mfa.startEnrollment(req.user);
+    await req.user.save();
+
+    return res.status(200).send({ ok: true, data: enrollment });
+  }),
+);
+
+router.post(
+  "/mfa/activate",
+  authenticate,
+  validate({ body: mfaCodeBody }),
+  asyncHandler(async (req, res) => {
+    const user = await UserObject.findById(req.user._id).select(MFA_FIELDS);
+    if (user.mfa_enabled) throw new ValidationError(ERROR_CODES.MFA_ALREADY_ENABLED);
+
+    const recovery_codes = await mfa.completeEnrollment(user, req.body.code);
+    if (!recovery_codes) throw new ValidationError(ERROR_CODES.MFA_CODE_INVALID);
+    await user.save();
 
-router.post("/forgot_password", async (req, res) => {
-  try {
-    const obj = await UserObject.findOne({ email: req.body.email.toLowerCase() });
+    return res.status(200).send({ ok: true, data: { recovery_codes } });
+  }),
+);
 
-    if (!obj) return res.status(401).send({ ok: false, code: EMAIL_OR_PASSWORD_INVALID });
+router.post(
+  "/mfa/recovery_codes",
+  authenticate,
+  validate({ body: mfaCodeBody }),
+  asyncHandler(async (req, res) => {
+    const user = await UserObject.findById(req.user._id).select(MFA_FIELDS);
+    if (!user.mfa_enabled) throw new ValidationError(ERROR_CODES.MFA_NOT_ENABLED);
+
+    const valid = await mfa.verifySecondFactor(user, { code: req.body.code });
+    if (!valid) throw new ValidationError(ERROR_CODES.MFA_CODE_INVALID);
+
+    const recovery_codes = await mfa.generateRecoveryCodes(user);
+    await user.save();
+
+    return res.status(200).send({ ok: true, data: { recovery_codes } });
+  }),
+);
+
+router.post(
+  "/mfa/disable",
+  authenticate,
+  validate({ body: mfaDisableBody }),
+  asyncHandler(async (req, res) => {
+    const user = await UserObject.findById(req.user._id).select(MFA_FIELDS).populate("role");
+    if (!user.mfa_enabled) throw new ValidationError(ERROR_CODES.MFA_NOT_ENABLED);
+    if (mfa.isMfaRequired(user)) throw new ForbiddenError(ERROR_CODES.MFA_REQUIRED);
+
+    const match = await user.comparePassword(req.body.password);
+    if (!match) throw new UnauthorizedError(ERROR_CODES.PASSWORD_INVALID);
+
+    const valid = await mfa.verifySecondFactor(user, req.body);
+    if (!valid) throw new ValidationError(ERROR_CODES.MFA_CODE_INVALID);
+
+    mfa.disable(user);
+    await user.save();
+
+    return res.status(200).send({ ok: true });
+  }),
+);
+
+router.post(
+  "/phone",
+  authenticate,
+  phoneLimiter,
+  validate({ body: phoneBody }),
+  asyncHandler(async (req, res) => {
+    if (req.body.country !== undefined && !isCountry(req.body.country)) throw invalidField("country");
+
+    const delay = phoneVerification.resendDelay(req.user);
+    if (delay) throw new TooManyRequestsError(ERROR_CODES.PHONE_VERIFICATION_ALREADY_SENT, { retryAfter: delay });
+
+    const phone = await phoneVerification.startVerification(req.user, req.body.phone, req.body.country);
+    if (!phone) throw new ValidationError(ERROR_CODES.PHONE_INVALID);
+
+    return res.status(200).send({ ok: true, data: req.user });
+  }),
+);
+
+router.post(
+  "/phone/verify",
+  authenticate,
+  verifyPhoneLimiter,
+  validate({ body: phoneCodeBody }),
+  asyncHandler(async (req, res) => {
+    const user = await UserObject.findById(req.user._id).select("+phone_verification_code");
+    const verified = await phoneVerification.completeVerification(user, req.body.code);
+    await user.save();
+    if (!verified) throw new ValidationError(ERROR_CODES.PHONE_VERIFICATION_CODE_EXPIRED_OR_INVALID);
+
+    return res.status(200).send({ ok: true, data: user });
+  }),
+);
+
+router.delete(
+  "/phone",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    phoneVerification.removePhone(req.user);
+    await req.user.save();
+    return res.status(200).send({ ok: true, data: req.user });
+  }),
+);
+
+router.post(
+  "/forgot_password",
+  forgotPasswordLimiter,
+  validate({ body: emailBody }),
+  asyncHandler(async (req, res) => {
+    const obj = await UserObject.findOne({ email: req.body.email });
+
+    if (!obj) throw new UnauthorizedError(ERROR_CODES.EMAIL_OR_PASSWORD_INVALID);
 
     const token = await crypto.randomBytes(20).toString("hex");
     obj.set({ forgot_password_reset_token: token, forgot_password_reset_expires: Date.now() + 7200000 }); //2h
     await obj.save();
 
-    await brevo.sendTemplate(SENDINBLUE_TEMPLATES.FORGOT_PASSWORD, {
-      emailTo: [{ email: obj.email }],
-      params: { cta: `${config.APP_URL}/auth/reset?token=${token}` },
-    });
+    await sendEmail(
+      "forgot_password",
+      {
+        to: [{ email: obj.email, name: obj.name }],
+        locale: obj.language,
+        params: { cta: `${config.APP_URL}/auth/reset?token=${token}` },
+      },
+      { idempotencyKey: tokenKey("forgot_password", obj, token) },
+    );
 
     res.status(200).send({ ok: true });
-  } catch (error) {
-    capture(error);
-    return res.status(500).send({ ok: false, code: SERVER_ERROR });
-  }
-});
-
-router.post("/forgot_password_reset", async (req, res) => {
-  try {
+  }),
+);
+
+router.post(
+  "/forgot_password_reset",
+  forgotPasswordResetLimiter,
+  validate({ body: forgotPasswordResetBody }),
+  asyncHandler(async (req, res) => {
     const obj = await UserObject.findOne({
       forgot_password_reset_token: req.body.token,
       forgot_password_reset_expires: { $gt: Date.now() },
     });
 
-    if (!obj) return res.status(400).send({ ok: false, code: PASSWORD_TOKEN_EXPIRED_OR_INVALID });
+    if (!obj) throw new ValidationError(ERROR_CODES.PASSWORD_TOKEN_EXPIRED_OR_INVALID);
 
-    if (!validatePassword(req.body.password)) return res.status(400).send({ ok: false, code: PASSWORD_NOT_VALIDATED });
+    if (!validatePassword(req.body.password)) throw new ValidationError(ERROR_CODES.PASSWORD_NOT_VALIDATED);
 
     obj.password = req.body.password;
     obj.forgot_password_reset_token = "";
     obj.forgot_password_reset_expires = "";
+    // Whoever owns the mailbox may sign in again right away
+    obj.resetFailedLogins();
     await obj.save();
+    // Whoever knew the former password is signed out
+    await revokeAllSessions(obj, "password_reset");
     return res.status(200).send({ ok: true });
-  } catch (error) {
-    capture(error);
-    return res.status(500).send({ ok: false, code: SERVER_ERROR });
-  }
-});
-
-router.post("/reset_password", passport.authenticate("user", { session: false }), async (req, res) => {
-  try {
+  }),
+);
+
+router.post(
+  "/reset_password",
+  authenticate,
+  validate({ body: resetPasswordBody }),
+  asyncHandler(async (req, res) => {
     const match = await req.user.comparePassword(req.body.password);
-    if (!match) {
-      return res.status(401).send({ ok: false, code: PASSWORD_INVALID });
-    }
-    if (req.body.newPassword !== req.body.verifyPassword) {
-      return res.status(422).send({ ok: false, code: PASSWORDS_NOT_MATCH });
-    }
-    if (!validatePassword(req.body.newPassword)) {
-      return res.status(400).send({ ok: false, code: PASSWORD_NOT_VALIDATED });
-    }
+    if (!match) throw new UnauthorizedError(ERROR_CODES.PASSWORD_INVALID);
+    if (req.body.newPassword !== req.body.verifyPassword) throw new ValidationError(ERROR_CODES.PASSWORDS_NOT_MATCH);
+    if (!validatePassword(req.body.newPassword)) throw new ValidationError(ERROR_CODES.PASSWORD_NOT_VALIDATED);
     const obj = await UserObject.findById(req.user._id);
 
     obj.set({ password: req.body.newPassword });
     await obj.save();
-    return res.status(200).send({ ok: true, user: obj });
-  } catch (error) {
-    capture(error);
-    return res.status(500).send({ ok: false, code: SERVER_ERROR });
-  }
-});
-
-router.get("/:id", async (req, res) => {
-  try {
+    // Other devices are signed out, this one stays signed in
+    const token = await revokeOtherSessions(req, res, obj);
+    return res.status(200).send({ ok: true, user: obj, token });
+  }),
+);
+
+router.get(
+  "/:id",
+  authenticate,
+  authorize("user:read"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
     const data = await UserObject.findOne({ _id: req.params.id });
     return res.status(200).send({ ok: true, data });
-  } catch (error) {
-    capture(error);
-    res.status(500).send({ ok: false, code: SERVER_ERROR, error });
-  }
-});
-
-router.get("/", passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
-  try {
-    const data = await UserObject.find({ role: "normal" });
+  }),
+);
+
+router.get(
+  "/",
+  authenticate,
+  authorize("user:read"),
+  asyncHandler(async (req, res) => {
+    const role = await getDefaultRole();
+    const data = await UserObject.find({ role: role._id });
     return res.status(200).send({ ok: true, data });
-  } catch (error) {
-    capture(error);
-    res.status(500).send({ ok: false, code: SERVER_ERROR, error });
+  }),
+);
+
+router.post(
+  "/search",
+  authenticate,
+  authorize("user:read"),
+  validate({ body: userSearch.body }),
+  asyncHandler(async (req, res) => {
+    const page = await userSearch.run(UserObject, req.body);
+
+    return res.status(200).send({ ok: true, ...page });
+  }),
+);
+
+// After a password change by the signed in user: signs out every other session, and renews the access token of the
+// request's one. Resolves with the new token.
+async function revokeOtherSessions(req, res, user) {
+  const { session } = req.authInfo;
+  await revokeAllSessions(user, "password_changed", { except: session });
+  const accessToken = signAccessToken(user, session);
+  setAuthCookies(res, { accessToken });
+  return accessToken;
+}
+
+// Checks `body` against the fields `editor` may write, throws when it is rejected
+async function getWritableValues(req, editor) {
+  const { values, forbidden } = UserObject.filterWritable(req.body, editor);
+  if (forbidden.length) throw new ForbiddenError(ERROR_CODES.FORBIDDEN_FIELD, { details: { fields: forbidden } });
+  // Goes through the pre save hook, never stored in clear
+  if (values.password !== undefined && !validatePassword(values.password)) {
+    throw new ValidationError(ERROR_CODES.PASSWORD_NOT_VALIDATED);
   }
-});
-
-router.post("/search", passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
-  try {
-    let query = {};
-
-    const searchValue = req.body.search?.replace(/[#-.]|[[-^]|[?|{}]/g, "\\$&");
-    if (req.body.search) {
-      query = {
-        ...query,
-        $or: [{ name: { $regex: searchValue, $options: "i" } }, { email: { $regex: searchValue, $options: "i" } }],
-      };
+  if (values.language !== undefined && !LOCALES.includes(values.language)) {
+    throw invalidField("language");
+  }
+  if (values.country !== undefined && !isCountry(values.country)) {
+    throw invalidField("country");
+  }
+  if (values.role !== undefined && !(await RoleObject.exists({ _id: values.role }))) {
+    throw invalidField("role");
+  }
+  if (values.avatar_file !== undefined) {
+    // Only images the editor uploaded, admins may reuse any avatar
+    const query = { _id: values.avatar_file, folder: "avatar" };
+    if (editor !== "admin") query.owner = req.user._id;
+
+    const file = mongoose.isValidObjectId(values.avatar_file) && (await FileObject.findOne(query));
+    if (!file) {
+      throw invalidField("avatar_file");
     }
-
-    const no_of_docs_each_page = req.body.per_page || 200;
-    const current_page_number = req.body.page - 1 || 0;
-
-    const users = await UserObject.find(query)
-      .skip(no_of_docs_each_page * current_page_number)
-      .limit(no_of_docs_each_page)
-      .sort(sort);
-
-    const total = await UserObject.countDocuments(query);
-
-    return res.status(200).send({ ok: true, data: { users, total } });
-  } catch (error) {
-    capture(error);
-    res.status(500).send({ ok: false, code: SERVER_ERROR, error });
+    const variant = (name) => file.variants.find((item) => item.name === name)?.url;
+    values.avatar = variant("medium") || file.url;
+    values.avatar_thumbnail = variant("thumbnail") || file.url;
   }
-});
+  return values;
+}
 
-router.post("/", passport.authenticate(["admin"], { session: false }), async (req, res) => {
-  try {
-    if (!validatePassword(req.body.password))
-      return res.status(400).send({ ok: false, user: null, code: PASSWORD_NOT_VALIDATED });
+async function updateUser(req, res, id) {
+  // Users may edit themselves, editing anyone else requires the "user:write" permission
+  const isAdmin = hasPermission(req.user, "user:write");
+  if (!isAdmin && !req.user._id.equals(id)) throw new ForbiddenError();
 
-    const user = await UserObject.create(req.body);
+  const user = await UserObject.findById(id);
+  if (!user) throw new NotFoundError();
 
-    return res.status(200).send({ data: user, ok: true });
-  } catch (error) {
-    if (error.code === 11000) return res.status(409).send({ ok: false, code: USER_ALREADY_REGISTERED });
-    capture(error);
-    return res.status(500).send({ ok: false, code: SERVER_ERROR });
+  const values = await getWritableValues(req, isAdmin ? "admin" : "self");
+
+  user.set(values);
+  await user.save();
+  if (values.password !== undefined) {
+    if (req.user._id.equals(user._id)) await revokeOtherSessions(req, res, user);
+    else await revokeAllSessions(user, "password_changed");
   }
-});
 
-//@check
-router.put("/:id", passport.authenticate(["admin", "user"], { session: false }), async (req, res) => {
-  try {
-    const user = await UserObject.findById(req.params.id);
-    const obj = req.body;
+  return res.status(200).send({ ok: true, data: user });
+}
 
-    user.set(obj);
-    await user.save();
+router.post(
+  "/",
+  authenticate,
+  authorize("user:write"),
+  validate({ body: userBody }),
+  asyncHandler(async (req, res) => {
+    if (!validatePassword(req.body.password)) throw new ValidationError(ERROR_CODES.PASSWORD_NOT_VALIDATED);
 
-    res.status(200).send({ ok: true, data: user });
-  } catch (error) {
-    capture(error);
-    res.status(500).send({ ok: false, code: SERVER_ERROR, error });
-  }
-});
+    const values = await getWritableValues(req, "admin");
 
-router.put("/", passport.authenticate(["admin", "user", "applicant"], { session: false }), async (req, res) => {
-  try {
-    const obj = req.body;
-    const data = await UserObject.findByIdAndUpdate(req.user._id, obj, { new: true });
-    res.status(200).send({ ok: true, data });
-  } catch (error) {
-    capture(error);
-    res.status(500).send({ ok: false, code: SERVER_ERROR, error });
-  }
-});
+    const role = await getDefaultRole();
+    const user = await UserObject.create({ role: role._id, ...values });
 
-router.delete("/:id", passport.authenticate("admin", { session: false }), async (req, res) => {
-  try {
+    return res.status(200).send({ data: user, ok: true });
+  }),
+);
+
+router.put(
+  "/:id",
+  authenticate,
+  validate({ params: idParams, body: userBody }),
+  asyncHandler(async (req, res) => {
+    return await updateUser(req, res, req.params.id);
+  }),
+);
+
+router.put(
+  "/",
+  authenticate,
+  validate({ body: userBody }),
+  asyncHandler(async (req, res) => {
+    return await updateUser(req, res, req.user._id);
+  }),
+);
+
+router.delete(
+  "/:id",
+  authenticate,
+  authorize("user:delete"),
+  validate({ params: idParams }),
+  asyncHandler(async (req, res) => {
     await UserObject.findOneAndRemove({ _id: req.params.id });
     res.status(200).send({ ok: true });
-  } catch (error) {
-    capture(error);
-    res.status(500).send({ ok: false, code: SERVER_ERROR, error });
-  }
-});
+  }),
+);
 
 module.exports = router;
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const MODELNAME = "captured_message";
+
+// Email or SMS kept by the "capture" transport instead of being sent, read in the /dev/mailbox page
+const Schema = new mongoose.Schema({
+  channel: { type: String, enum: ["email", "sms"], required: true },
+
+  // Emails
+  to: [{ _id: false, email: String, name: String }],
+  subject: { type: String },
+  html: { type: String },
+  text: { type: String },
+
+  // SMS
+  recipient: { type: String },
+  content: { type: String },
+  tag: { type: String },
+
+  // Mongo TTL index, the mailbox only keeps recent messages
+  expires_at: { type: Date, expires: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+Schema.index({ createdAt: -1 });
+
+const OBJ = mongoose.model(MODELNAME, Schema);
+module.exports = OBJ;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const MODELNAME = "email_delivery";
+
+// What happened to an email after the transport accepted it, one document per message and recipient.
+// Created when the queue sends the message, then updated by the provider's webhooks, see services/delivery.
+const Schema = new mongoose.Schema({
+  message: { type: mongoose.Schema.Types.ObjectId, ref: "message" },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "user" },
+  email: { type: String, lowercase: true, trim: true, required: true },
+  template: { type: String },
+  transport: { type: String },
+  // Id given by the transport, webhook events carry it
+  provider_message_id: { type: String },
+
+  // Latest event, "opened" is kept over "delivered" and a bounce or complaint over both
+  status: { type: String, enum: ["sent", "delivered", "opened", "bounced", "complained"], default: "sent" },
+  events: [
+    {
+      _id: false,
+      type: { type: String, enum: ["delivered", "opened", "bounced", "complained"] },
+      reason: { type: String },
+      at: { type: Date },
+    },
+  ],
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+Schema.index({ provider_message_id: 1, email: 1 });
+Schema.index({ user: 1, createdAt: -1 });
+
+const OBJ = mongoose.model(MODELNAME, Schema);
+module.exports = OBJ;
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+const MODELNAME = "email_suppression";
+
+// Addresses no email is sent to anymore, added when the provider reports a hard bounce or a spam complaint.
+// Lifting a suppression keeps the document for history, the address is suppressed again on the next bounce.
+const Schema = new mongoose.Schema({
+  email: { type: String, lowercase: true, trim: true, required: true, unique: true },
+  reason: { type: String, enum: ["bounced", "complained"], required: true },
+  // What the provider said, "mailbox does not exist"...
+  detail: { type: String },
+  // The delivery that got the address suppressed
+  delivery: { type: mongoose.Schema.Types.ObjectId, ref: "email_delivery" },
+
+  // False once an admin lifted the suppression
+  active: { type: Boolean, default: true },
+  lifted_at: { type: Date },
+  lifted_by: { type: mongoose.Schema.Types.ObjectId, ref: "user" },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+Schema.index({ active: 1, createdAt: -1 });
+
+const OBJ = mongoose.model(MODELNAME, Schema);
+module.exports = OBJ;
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const MODELNAME = "file";
+
+const Schema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: "user", required: true, index: true },
+  // One of UPLOAD_RULES in services/upload.js
+  folder: { type: String, required: true },
+  // Public files have a permanent url, private ones are only reached through GET /file/:id
+  visibility: { type: String, enum: ["public", "private"], default: "private" },
+
+  // Location in storage, never sent to clients
+  key: { type: String, required: true, unique: true, select: false },
+  url: { type: String },
+
+  name: { type: String, default: "" },
+  size: { type: Number },
+  type: { type: String },
+  // sha256 of the stored content, hex encoded
+  checksum: { type: String },
+  width: { type: Number },
+  height: { type: Number },
+
+  // Resized copies of processed images, see services/image
+  variants: [
+    {
+      _id: false,
+      name: { type: String },
+      key: { type: String },
+      url: { type: String },
+      size: { type: Number },
+      type: { type: String },
+      width: { type: Number },
+      height: { type: Number },
+    },
+  ],
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+Schema.methods.isPublic = function () {
+  return this.visibility === "public";
+};
+
+const OBJ = mongoose.model(MODELNAME, Schema);
+module.exports = OBJ;
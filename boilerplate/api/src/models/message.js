@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const MODELNAME = "message";
+
+// Email or SMS waiting in the outbound queue, see services/queue. Messages are rendered when queued, `payload` is
+// what the channel's handler sends: { to, subject, html, text } for emails, { recipient, content, tag } for SMS.
+const Schema = new mongoose.Schema({
+  channel: { type: String, enum: ["email", "sms"], required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  // "dead" messages failed max_attempts times, they stay until retried by an admin
+  status: { type: String, enum: ["pending", "processing", "sent", "dead"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  max_attempts: { type: Number, default: 8 },
+  // Next attempt, pushed back after every failure
+  run_at: { type: Date, default: Date.now },
+  // A worker owns a "processing" message until then, after that another one may take it over
+  locked_until: { type: Date },
+  // Worker holding the lock: only that one may mark the message sent or failed
+  locked_by: { type: String },
+  last_error: { type: String },
+
+  // Queuing twice with the same key gives back the first message instead of sending again
+  idempotency_key: { type: String },
+  // Request that queued the message, carried into the logs of its deliveries, see services/logger
+  request_id: { type: String },
+
+  sent_at: { type: Date },
+  // Mongo TTL index removes sent messages after a while, see services/queue
+  expires_at: { type: Date, expires: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+Schema.index({ status: 1, run_at: 1 });
+Schema.index(
+  { idempotency_key: 1 },
+  { unique: true, partialFilterExpression: { idempotency_key: { $type: "string" } } },
+);
+
+// Rendered bodies hold working verification and reset links, SMS bodies their codes: they are never answered, admins
+// follow deliveries from the recipient, subject and status
+const PAYLOAD_BODIES = ["html", "text", "content"];
+
+Schema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (ret.payload) {
+      ret.payload = { ...ret.payload };
+      for (const field of PAYLOAD_BODIES) delete ret.payload[field];
+    }
+    return ret;
+  },
+});
+
+const OBJ = mongoose.model(MODELNAME, Schema);
+module.exports = OBJ;
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const MODELNAME = "rate_limit";
+
+// Hits of a rate limited key during one slot, used by the mongo rate limit store so every API instance shares the
+// same counters, see services/rate_limit
+const Schema = new mongoose.Schema({
+  key: { type: String, required: true },
+  window_start: { type: Date },
+  hits: { type: Number },
+
+  // Mongo TTL index removes slots once they no longer overlap the window
+  expires_at: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Documents of the former stores have no window_start and expire by themselves. The unique index on key left by the
+// previous one only covers documents with a `count`.
+Schema.index(
+  { key: 1, window_start: 1 },
+  { unique: true, partialFilterExpression: { window_start: { $exists: true } } },
+);
+
+const OBJ = mongoose.model(MODELNAME, Schema);
+module.exports = OBJ;
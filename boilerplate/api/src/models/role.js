@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const ERROR_CODES = require("../utils/errorCodes");
+const { onDuplicateKey } = require("../utils/errors");
+
+const MODELNAME = "role";
+
+const Schema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, default: "" },
+
+  // Names from PERMISSIONS in services/rbac.js. "*" grants everything, "dummy:*" every dummy permission.
+  permissions: { type: [String], default: [] },
+
+  // Default roles created at startup, they cannot be deleted or renamed
+  system: { type: Boolean, default: false },
+  // Last change to the default roles applied to this one, see DEFAULT_ROLES_MIGRATIONS in services/rbac.js
+  defaults_version: { type: Number },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+Schema.post("save", onDuplicateKey(ERROR_CODES.ROLE_ALREADY_EXISTS));
+
+const OBJ = mongoose.model(MODELNAME, Schema);
+module.exports = OBJ;
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const MODELNAME = "session";
+
+// One document per sign-in. The refresh token rotates on every use, all rotations belong to the same session (token family).
+const Schema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "user", required: true, index: true },
+
+  refresh_token_hash: { type: String, required: true },
+  // Hashes of refresh tokens already exchanged. Seeing one of them again means the token was stolen.
+  rotated_token_hashes: { type: [String], default: [] },
+
+  user_agent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+
+  expires_at: { type: Date, required: true },
+  revoked_at: { type: Date },
+  revoked_reason: {
+    type: String,
+    enum: ["logout", "logout_all", "reuse_detected", "revoked", "password_changed", "password_reset"],
+  },
+
+  last_seen_at: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const OBJ = mongoose.model(MODELNAME, Schema);
+module.exports = OBJ;
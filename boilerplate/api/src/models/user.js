@@ -1,21 +1,77 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 
+const ERROR_CODES = require("../utils/errorCodes");
+const { onDuplicateKey } = require("../utils/errors");
+
 const MODELNAME = "user";
 
+// Failed passwords allowed before the account gets locked
+const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+// First lock lasts 1 minute, then doubles on every further failure, up to 1 hour
+const LOCK_BASE_DURATION = 60000;
+const LOCK_MAX_DURATION = 3600000;
+
+// Fields a client may write. Everything else (tokens, lockout, mfa...) is only ever set by the API itself.
+// "self" applies to users editing their own profile, "admin" to users holding the "user:write" permission.
+// Users change their own password through /user/reset_password and their email through /user/email, which check
+// the current password. The new address is only used once verified.
+const WRITABLE_FIELDS = {
+  self: ["name", "avatar", "avatar_file", "language", "country"],
+  admin: ["name", "email", "avatar", "avatar_file", "language", "country", "password", "role", "verified_at"],
+};
+
 const Schema = new mongoose.Schema({
   name: { type: String, trim: true },
 
   email: { type: String, required: true, unique: true, trim: true },
+  // Replaces `email` once the verification link sent to it is followed, see /user/email
+  pending_email: { type: String, trim: true },
 
   avatar: { type: String, default: "https://www.gravatar.com/avatar/00000000000000000000000000000000?d=mp&f=y" },
+  // Image uploaded to the "avatar" folder. Setting it points `avatar` and `avatar_thumbnail` to its variants.
+  avatar_file: { type: mongoose.Schema.Types.ObjectId, ref: "file" },
+  avatar_thumbnail: { type: String },
+
+  // Locale of the emails sent to the user, see services/email
+  language: { type: String, default: "en" },
+  // ISO 3166-1 alpha-2, phone numbers typed without their country calling code are read as numbers of this country
+  country: { type: String, uppercase: true },
+
+  // E.164, only changed through /user/phone. Verified once the code sent to it is entered, see services/phone_verification
+  phone: { type: String },
+  phone_verified_at: { type: Date },
+  phone_verification_code: { type: String, select: false },
+  phone_verification_expires: { type: Date },
+  phone_verification_sent_at: { type: Date },
+  phone_verification_attempts: { type: Number, default: 0 },
 
   password: String,
-  role: { type: String, enum: ["user", "admin"], default: "user" },
+  role: { type: mongoose.Schema.Types.ObjectId, ref: "role", required: true },
+
+  mfa_enabled: { type: Boolean, default: false },
+  // TOTP secrets and recovery code hashes never leave the API
+  mfa_secret: { type: String, select: false },
+  mfa_pending_secret: { type: String, select: false },
+  mfa_recovery_codes: { type: [String], select: false },
+  // Last TOTP time step accepted, a code cannot be used twice
+  mfa_last_step: { type: Number, select: false },
 
-  forgot_password_reset_token: { type: String, default: "" },
+  verified_at: { type: Date },
+  // Whoever reads these tokens can verify the address or reset the password: they only ever leave by email
+  email_verification_token: { type: String, default: "", select: false },
+  email_verification_expires: { type: Date },
+  email_verification_sent_at: { type: Date },
+
+  forgot_password_reset_token: { type: String, default: "", select: false },
   forgot_password_reset_expires: { type: Date },
 
+  // Access tokens issued before this date are rejected ("log out everywhere")
+  tokens_revoked_at: { type: Date },
+
+  failed_login_attempts: { type: Number, default: 0 },
+  locked_until: { type: Date },
+
   last_login_at: { type: Date, default: Date.now },
   createdAt: { type: Date, default: Date.now },
 });
@@ -31,8 +87,89 @@ Schema.pre("save", function (next) {
   }
 });
 
+Schema.post("save", onDuplicateKey(ERROR_CODES.USER_ALREADY_REGISTERED));
+
+// The only fields sent to clients: documents go through toJSON when answered, and fields added to the schema
+// later (secrets, tokens, lockout...) stay in the API unless listed here
+const PUBLIC_FIELDS = [
+  "_id",
+  "name",
+  "email",
+  "pending_email",
+  "avatar",
+  "avatar_file",
+  "avatar_thumbnail",
+  "language",
+  "country",
+  "phone",
+  "phone_verified_at",
+  "role",
+  "mfa_enabled",
+  "verified_at",
+  "last_login_at",
+  "createdAt",
+];
+
+Schema.set("toJSON", {
+  transform: (doc, ret) => {
+    const data = {};
+    for (const field of PUBLIC_FIELDS) if (field in ret) data[field] = ret[field];
+    return data;
+  },
+});
+
 Schema.methods.comparePassword = function (p) {
   return bcrypt.compare(p, this.password || "");
 };
+
+// Splits `body` between the fields `editor` ("self" or "admin") may write and the ones it may not
+Schema.statics.filterWritable = function (body, editor) {
+  const allowed = WRITABLE_FIELDS[editor] || [];
+  const values = {};
+  const forbidden = [];
+  for (const [field, value] of Object.entries(body || {})) {
+    if (allowed.includes(field)) values[field] = value;
+    else forbidden.push(field);
+  }
+  return { values, forbidden };
+};
+
+Schema.methods.isLocked = function () {
+  return !!this.locked_until && this.locked_until > Date.now();
+};
+
+// Counted in the database and not on the document: concurrent failures all count. Locks the account once
+// MAX_FAILED_LOGIN_ATTEMPTS is reached, twice as long after each further failure.
+Schema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failed_login_attempts: 1 } },
+    { new: true, projection: { failed_login_attempts: 1 } },
+  );
+  if (!updated) return;
+
+  const overflow = updated.failed_login_attempts - MAX_FAILED_LOGIN_ATTEMPTS;
+  if (overflow < 0) return;
+  const locked_until = new Date(Date.now() + Math.min(LOCK_BASE_DURATION * 2 ** overflow, LOCK_MAX_DURATION));
+  // A concurrent failure may have set a later one
+  await this.constructor.updateOne({ _id: this._id }, { $max: { locked_until } });
+};
+
+Schema.methods.resetFailedLogins = function () {
+  this.failed_login_attempts = 0;
+  this.locked_until = undefined;
+};
+
+// Consumes the matching recovery code. Requires the document to be loaded with `+mfa_recovery_codes`.
+Schema.methods.useRecoveryCode = async function (code) {
+  const normalized = (code || "").trim().toLowerCase();
+  for (const hash of this.mfa_recovery_codes || []) {
+    if (await bcrypt.compare(normalized, hash)) {
+      this.mfa_recovery_codes = this.mfa_recovery_codes.filter((h) => h !== hash);
+      return true;
+    }
+  }
+  return false;
+};
 const OBJ = mongoose.model(MODELNAME, Schema);
 module.exports = OBJ;
@@ -1,132 +1,85 @@
 const fetch = require("node-fetch");
 
-const { BREVO_KEY, ENVIRONMENT } = require("../config");
+const { BREVO_KEY, MAIL_SENDER_NAME, MAIL_SENDER_EMAIL, SMS_SENDER_NAME } = require("../config");
+const { normalizePhone } = require("../utils/phone");
+const { logger, getContext } = require("./logger");
 
-const SENDER_NAME = "Your Name";
-const SENDER_NAME_SMS = "Your Name";
-const SENDER_EMAIL = "Your Email";
-
-const regexp_exception_staging = /selego\.co/;
+// `retryable` is false for errors another attempt would hit again, like an invalid recipient
+class BrevoError extends Error {
+  constructor(message, status, { retryable = !status || status >= 500 || status === 429 } = {}) {
+    super(message);
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
 
+// Throws on network errors and error statuses, services/queue takes care of retrying.
+// Calls carry the id of the request or message they are made for, to match them with Brevo's logs.
 const api = async (path, options = {}) => {
-  try {
-    if (!BREVO_KEY) {
-      console.log("NO SENDINBLUE KEY");
-      console.log(options);
-      return console.log("Mail was not sent.");
-    }
+  // Would otherwise be marked as sent by services/queue
+  if (!BREVO_KEY) throw new BrevoError(`Brevo key missing, ${path} was not called`, undefined, { retryable: false });
 
-    const res = await fetch(`https://api.sendinblue.com/v3${path}`, {
-      ...options,
-      retries: 3,
-      retryDelay: 1000,
-      retryOn: [502, 503, 504],
-      headers: { "api-key": BREVO_KEY, "Content-Type": "application/json", ...(options.headers || {}) },
-    });
-    const contentType = res.headers.raw()["content-type"];
-    if (contentType && contentType.length && contentType[0].includes("application/json")) return await res.json();
-    // Sometimes, sendinblue returns a 204 with an empty body
-    return true;
-  } catch (e) {
-    console.log("Erreur in sendinblue api", e);
-  }
+  const { request_id } = getContext();
+  const start = Date.now();
+  const res = await fetch(`https://api.sendinblue.com/v3${path}`, {
+    ...options,
+    headers: {
+      "api-key": BREVO_KEY,
+      "Content-Type": "application/json",
+      ...(request_id ? { "X-Request-Id": request_id } : {}),
+      ...(options.headers || {}),
+    },
+  });
+  logger.debug("brevo call", {
+    method: options.method || "GET",
+    path,
+    status: res.status,
+    duration_ms: Date.now() - start,
+  });
+  const contentType = res.headers.get("content-type") || "";
+  const body = contentType.includes("application/json") ? await res.json() : null;
+  if (!res.ok)
+    throw new BrevoError(`Brevo answered ${res.status} to ${path}: ${body?.message || res.statusText}`, res.status);
+  // Sometimes, sendinblue returns a 204 with an empty body
+  return body || true;
 };
 
 // https://developers.brevo.com/reference/sendtransacsms
 async function sendSMS(phoneNumber, content, tag) {
-  try {
-    // format phone number for Sendinblue
-    const formattedPhoneNumber = phoneNumber
-      .replace(/[^0-9]/g, "")
-      .replace(/^0([6,7])/, "33$1")
-      .replace(/^330/, "33");
-
-    const body = {};
-    body.sender = SENDER_NAME_SMS;
-    body.recipient = formattedPhoneNumber;
-    body.content = content;
-    body.type = "transactional";
-    body.tag = tag;
-
-    const sms = await api("/transactionalSMS/sms", { method: "POST", body: JSON.stringify(body) });
-    if (!sms || sms?.code) {
-      console.log("Error sending an SMS", { sms, body });
-    }
-    if (ENVIRONMENT !== "production") {
-      console.log(body, sms);
-    }
-  } catch (e) {
-    console.log("Erreur in sendSMS", e);
-  }
-}
+  // Brevo expects the E.164 number without its leading "+"
+  const phone = normalizePhone(phoneNumber);
+  if (!phone) throw new BrevoError("Invalid phone number", 400);
 
-// https://developers.brevo.com/reference/sendtransacemail
-async function sendEmail(to, subject, htmlContent, { params, attachment, cc, bcc } = {}) {
-  try {
-    const body = {};
-    if (ENVIRONMENT !== "production") {
-      console.log("to before filter:", to);
-      to = to.filter((e) => e.email.match(regexp_exception_staging));
-      if (cc?.length) cc = cc.filter((e) => e.email.match(regexp_exception_staging));
-      if (bcc?.length) bcc = bcc.filter((e) => e.email.match(regexp_exception_staging));
-    }
-    console.log("to after filter:", to);
-    body.to = to;
-    if (cc?.length) body.cc = cc;
-    if (bcc?.length) body.bcc = bcc;
-    body.htmlContent = htmlContent;
-    body.sender = { name: SENDER_NAME, email: SENDER_EMAIL };
-    body.subject = subject;
+  const body = {};
+  body.sender = SMS_SENDER_NAME;
+  body.recipient = phone.number.slice(1);
+  body.content = content;
+  body.type = "transactional";
+  body.tag = tag;
 
-    if (params) body.params = params;
-    if (attachment) body.attachment = attachment;
-    const mail = await api("/smtp/email", { method: "POST", body: JSON.stringify(body) });
-    if (!mail || mail?.code) {
-      console.log("Error sending an email", { mail, body });
-    }
-    if (ENVIRONMENT !== "production") {
-      console.log(body, mail);
-    }
-  } catch (e) {
-    console.log("Erreur in sendEmail", e);
-  }
+  return api("/transactionalSMS/sms", { method: "POST", body: JSON.stringify(body) });
 }
 
 // https://developers.brevo.com/reference/sendtransacemail
-async function sendTemplate(id, { params, emailTo, cc, bcc, attachment } = {}, { force } = { force: false }) {
-  try {
-    if (!id) throw new Error("No template id provided");
-
-    const body = { templateId: parseInt(id) };
-    if (!force && ENVIRONMENT !== "production") {
-      console.log("emailTo before filter:", emailTo);
-      emailTo = emailTo.filter((e) => e.email.match(regexp_exception_staging));
-      if (cc?.length) cc = cc.filter((e) => e.email.match(regexp_exception_staging));
-      if (bcc?.length) bcc = bcc.filter((e) => e.email.match(regexp_exception_staging));
-    }
-    if (emailTo) body.to = emailTo;
-    if (cc?.length) body.cc = cc;
-    if (bcc?.length) body.bcc = bcc;
-    if (params) body.params = params;
-    if (attachment) body.attachment = attachment;
-    const mail = await api("/smtp/email", { method: "POST", body: JSON.stringify(body) });
+// `text` is the plain text version of htmlContent
+async function sendEmail(to, subject, htmlContent, { text, params, attachment, cc, bcc } = {}) {
+  const body = {};
+  body.to = to;
+  if (cc?.length) body.cc = cc;
+  if (bcc?.length) body.bcc = bcc;
+  body.htmlContent = htmlContent;
+  if (text) body.textContent = text;
+  body.sender = { name: MAIL_SENDER_NAME, email: MAIL_SENDER_EMAIL };
+  body.subject = subject;
 
-    if (!mail || mail?.code) {
-      console.log("Error sending a template", { mail, body });
-      return;
-    }
-    if (ENVIRONMENT !== "production" || force) {
-      console.log(body, mail);
-    }
-    return mail;
-  } catch (e) {
-    console.log("Erreur in sendTemplate", e);
-  }
+  if (params) body.params = params;
+  if (attachment) body.attachment = attachment;
+  return api("/smtp/email", { method: "POST", body: JSON.stringify(body) });
 }
 
 module.exports = {
+  BrevoError,
   api,
   sendSMS,
   sendEmail,
-  sendTemplate,
 };
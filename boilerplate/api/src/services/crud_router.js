@@ -0,0 +1,174 @@
+const express = require("express");
+const passport = require("passport");
+
+const { NotFoundError } = require("../utils/errors");
+const { asyncHandler } = require("./error_handler");
+const { authorize } = require("./rbac");
+const { createSearch } = require("./search");
+const { validate, idParams } = require("./validation");
+
+const VERBS = ["list", "get", "search", "create", "update", "delete"];
+
+const noop = async () => {};
+
+// Route guards for one verb: a permission name, `null` for any signed in user, `false` for a public route
+function guard(permission) {
+  if (permission === false) return [];
+  const authenticate = passport.authenticate("jwt", { session: false, failWithError: true });
+  if (permission === null) return [authenticate];
+  return [authenticate, authorize(permission)];
+}
+
+function pick(body, fields) {
+  const values = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+  return values;
+}
+
+/**
+ * Builds the list / get / search / create / update / delete routes of a resource from its mongoose model.
+ *
+ * Options:
+ * - `fields`: fields clients may write, anything else in the body is ignored
+ * - `schemas`: `{ create, update }` validation schemas for the body, see services/validation
+ * - `searchFields`: fields matched by the `search` text of POST /search
+ * - `filterFields`: fields POST /search filters and sorts on, with their type, see services/search
+ * - `sortFields`: sortable fields among `filterFields`
+ * - `defaultSort`: sort of list and search, "-createdAt" by default
+ * - `permissions`: required for every verb of VERBS, see guard() above, e.g. `{ list: "dummy:read", ... }`
+ * - `hooks`: `beforeCreate(values, req)`, `afterCreate(doc, req)`, `beforeUpdate(doc, values, req)`,
+ *   `afterUpdate(doc, req)`, `beforeDelete(doc, req)`, `afterDelete(doc, req)`. Before hooks may mutate `values`.
+ * - `softDelete`: delete sets `deletedAt` instead of removing the document, which is then hidden from every route.
+ *   The model needs a `deletedAt: Date` field.
+ */
+function createCrudRouter(Model, options = {}) {
+  const {
+    fields = [],
+    schemas = {},
+    searchFields = [],
+    filterFields = { createdAt: "date" },
+    sortFields = ["createdAt"],
+    defaultSort = "-createdAt",
+    permissions = {},
+    hooks = {},
+    softDelete = false,
+  } = options;
+
+  const router = express.Router();
+  const { beforeCreate = noop, afterCreate = noop, beforeUpdate = noop, afterUpdate = noop } = hooks;
+  const { beforeDelete = noop, afterDelete = noop } = hooks;
+
+  for (const verb of Object.keys(permissions)) {
+    if (!VERBS.includes(verb)) throw new Error(`Unknown verb "${verb}" in permissions of ${Model.modelName}`);
+  }
+  // A forgotten verb must not end up open to everyone
+  for (const verb of VERBS) {
+    if (permissions[verb] === undefined) throw new Error(`Missing permission for "${verb}" of ${Model.modelName}`);
+  }
+
+  // Soft deleted documents do not exist anymore for clients
+  const scope = (query = {}) => (softDelete ? { ...query, deletedAt: null } : query);
+
+  const search = createSearch({ fields: filterFields, searchFields, sortFields, defaultSort });
+
+  // Same contract as POST /search, in the query string: `?limit=20&cursor=...`
+  router.get(
+    "/",
+    ...guard(permissions.list),
+    validate({ query: search.body }),
+    asyncHandler(async (req, res) => {
+      const page = await search.run(Model, req.query, { query: scope() });
+
+      return res.status(200).send({ ok: true, ...page });
+    }),
+  );
+
+  router.get(
+    "/:id",
+    ...guard(permissions.get),
+    validate({ params: idParams }),
+    asyncHandler(async (req, res) => {
+      const data = await Model.findOne(scope({ _id: req.params.id }));
+
+      if (!data) throw new NotFoundError();
+
+      return res.status(200).send({ ok: true, data });
+    }),
+  );
+
+  router.post(
+    "/search",
+    ...guard(permissions.search),
+    validate({ body: search.body }),
+    asyncHandler(async (req, res) => {
+      const page = await search.run(Model, req.body, { query: scope() });
+
+      return res.status(200).send({ ok: true, ...page });
+    }),
+  );
+
+  router.post(
+    "/",
+    ...guard(permissions.create),
+    ...(schemas.create ? [validate({ body: schemas.create })] : []),
+    asyncHandler(async (req, res) => {
+      const values = pick(req.body, fields);
+      await beforeCreate(values, req);
+
+      const data = await Model.create(values);
+      await afterCreate(data, req);
+
+      return res.status(200).send({ ok: true, data });
+    }),
+  );
+
+  router.put(
+    "/:id",
+    ...guard(permissions.update),
+    validate({ params: idParams, ...(schemas.update ? { body: schemas.update } : {}) }),
+    asyncHandler(async (req, res) => {
+      const data = await Model.findOne(scope({ _id: req.params.id }));
+
+      if (!data) throw new NotFoundError();
+
+      const values = pick(req.body, fields);
+      await beforeUpdate(data, values, req);
+
+      data.set(values);
+      await data.save();
+      await afterUpdate(data, req);
+
+      return res.status(200).send({ ok: true, data });
+    }),
+  );
+
+  router.delete(
+    "/:id",
+    ...guard(permissions.delete),
+    validate({ params: idParams }),
+    asyncHandler(async (req, res) => {
+      const data = await Model.findOne(scope({ _id: req.params.id }));
+
+      if (!data) throw new NotFoundError();
+
+      await beforeDelete(data, req);
+      if (softDelete) {
+        data.set({ deletedAt: Date.now() });
+        await data.save();
+      } else {
+        await data.deleteOne();
+      }
+      await afterDelete(data, req);
+
+      return res.status(200).send({ ok: true });
+    }),
+  );
+
+  return router;
+}
+
+module.exports = {
+  createCrudRouter,
+};
@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const { Buffer } = require("buffer");
+
+const EmailDeliveryObject = require("../models/email_delivery");
+const EmailSuppressionObject = require("../models/email_suppression");
+const UserObject = require("../models/user");
+
+const { EMAIL_WEBHOOK_SECRET, MAIL_TRANSPORT } = require("../config");
+const { capture } = require("./sentry");
+const { mailTransport } = require("./transport");
+
+// Events get a delivery out of "sent", a bounce or complaint is never overwritten by a later open
+const STATUS_RANK = { sent: 0, delivered: 1, opened: 2, bounced: 3, complained: 4 };
+// Events suppressing the recipient's address
+const SUPPRESSING_EVENTS = ["bounced", "complained"];
+
+// https://developers.brevo.com/docs/transactional-webhooks, soft bounces and clicks are not tracked
+const BREVO_EVENTS = {
+  delivered: "delivered",
+  opened: "opened",
+  unique_opened: "opened",
+  proxy_open: "opened",
+  hard_bounce: "bounced",
+  invalid_email: "bounced",
+  blocked: "bounced",
+  spam: "complained",
+};
+
+// Reads the body a provider posts to /email/webhook/:provider as a list of { type, email, provider_message_id,
+// reason, at }. Events we do not track are left out.
+const PARSERS = {
+  brevo: (body) =>
+    (Array.isArray(body) ? body : [body])
+      .filter((event) => Object.hasOwn(BREVO_EVENTS, event?.event) && event.email && event["message-id"])
+      .map((event) => ({
+        type: BREVO_EVENTS[event.event],
+        email: String(event.email).toLowerCase(),
+        provider_message_id: String(event["message-id"]),
+        reason: event.reason,
+        at: event.ts_event ? new Date(event.ts_event * 1000) : new Date(),
+      })),
+};
+
+// Digests have the same length whatever is hashed, as timingSafeEqual requires
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Checks the `Authorization` header of a webhook against EMAIL_WEBHOOK_SECRET: `Bearer <secret>`, or basic auth with
+ * the secret as password, which Brevo sends when the webhook url reads `https://webhook:<secret>@<api host>/...`.
+ * Always false without a secret.
+ */
+function verifyWebhookAuth(header) {
+  if (!EMAIL_WEBHOOK_SECRET || typeof header !== "string") return false;
+
+  const [scheme, credentials = ""] = header.trim().split(/\s+/);
+  let secret;
+  if (/^bearer$/i.test(scheme)) secret = credentials;
+  else if (/^basic$/i.test(scheme))
+    secret = Buffer.from(credentials, "base64").toString().split(":").slice(1).join(":");
+  if (!secret) return false;
+
+  return crypto.timingSafeEqual(digest(secret), digest(EMAIL_WEBHOOK_SECRET));
+}
+
+// Recipients of `to` ({ email, name }) whose address is not suppressed
+async function filterSuppressed(to) {
+  const emails = to.map(({ email }) => email.toLowerCase());
+  const suppressed = await EmailSuppressionObject.find({ email: { $in: emails }, active: true }).select("email");
+  const addresses = new Set(suppressed.map(({ email }) => email));
+  return to.filter(({ email }) => !addresses.has(email.toLowerCase()));
+}
+
+// Stops emails to `email` until an admin lifts the suppression
+function suppress(email, { reason, detail, delivery }) {
+  return EmailSuppressionObject.findOneAndUpdate(
+    { email },
+    {
+      $set: { reason, detail, delivery, active: true, updatedAt: Date.now() },
+      $unset: { lifted_at: 1, lifted_by: 1 },
+      $setOnInsert: { createdAt: Date.now() },
+    },
+    { upsert: true, new: true },
+  );
+}
+
+// Resolves with the lifted suppression, or null when there is no active one with that id
+function lift(id, user) {
+  return EmailSuppressionObject.findOneAndUpdate(
+    { _id: id, active: true },
+    { $set: { active: false, lifted_at: Date.now(), lifted_by: user._id, updatedAt: Date.now() } },
+    { new: true },
+  );
+}
+
+/**
+ * Queue handler of the email channel: sends `payload` to the recipients not suppressed and starts their delivery log.
+ * Nothing is sent when every recipient is suppressed.
+ */
+async function deliverEmail(payload, message) {
+  const to = await filterSuppressed(payload.to);
+  if (!to.length) return;
+
+  const { id } = await mailTransport.sendEmail({ ...payload, to });
+
+  // The email is gone, failing to log it must not get it sent again
+  try {
+    const emails = to.map(({ email }) => email.toLowerCase());
+    const users = await UserObject.find({ email: { $in: emails } }).select("email");
+    await EmailDeliveryObject.insertMany(
+      emails.map((email) => ({
+        message: message._id,
+        user: users.find((user) => user.email === email)?._id,
+        email,
+        template: payload.template,
+        transport: MAIL_TRANSPORT,
+        provider_message_id: id,
+      })),
+    );
+  } catch (error) {
+    capture(error, { tags: { service: "delivery" } });
+  }
+}
+
+// Applies a parsed webhook event to its delivery, created when the message was not sent through the queue
+async function recordEvent({ type, email, provider_message_id, reason, at }) {
+  let delivery = await EmailDeliveryObject.findOne({ provider_message_id, email });
+  if (!delivery) {
+    const user = await UserObject.findOne({ email }).select("_id");
+    delivery = new EmailDeliveryObject({ provider_message_id, email, user: user?._id, transport: MAIL_TRANSPORT });
+  }
+
+  delivery.events.push({ type, reason, at });
+  if (STATUS_RANK[type] > STATUS_RANK[delivery.status]) delivery.status = type;
+  delivery.updatedAt = Date.now();
+  await delivery.save();
+
+  if (SUPPRESSING_EVENTS.includes(type))
+    await suppress(email, { reason: type, detail: reason, delivery: delivery._id });
+  return delivery;
+}
+
+// Resolves with the number of events recorded, or null for a provider we have no parser for
+async function ingestWebhook(provider, body) {
+  if (!Object.hasOwn(PARSERS, provider)) return null;
+
+  const events = PARSERS[provider](body);
+  for (const event of events) await recordEvent(event);
+  return events.length;
+}
+
+module.exports = {
+  verifyWebhookAuth,
+  filterSuppressed,
+  suppress,
+  lift,
+  deliverEmail,
+  ingestWebhook,
+};
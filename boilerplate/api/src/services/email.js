@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+
+const { APP_URL } = require("../config");
+const { escapeHtml, renderTemplate } = require("../utils/template");
+const { filterSuppressed } = require("./delivery");
+const { enqueue } = require("./queue");
+
+// See src/emails/README.md for the layout of the templates
+const TEMPLATES_PATH = path.join(__dirname, "../emails");
+const LOCALES = ["en", "fr"];
+const DEFAULT_LOCALE = "en";
+const FORMATS = { html: escapeHtml, txt: String };
+
+class EmailTemplateError extends Error {}
+
+function readFile(...segments) {
+  const file = path.join(TEMPLATES_PATH, ...segments);
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+}
+
+// Template names come from urls in the preview routes, they must not walk out of TEMPLATES_PATH
+function readTemplate(name) {
+  const source = /^[a-z0-9_]+$/.test(name) && readFile(name, "template.json");
+  if (!source) throw new EmailTemplateError(`Unknown email template "${name}"`);
+  return JSON.parse(source);
+}
+
+function listTemplates() {
+  return fs
+    .readdirSync(TEMPLATES_PATH, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && readFile(entry.name, "template.json"))
+    .map(({ name }) => {
+      const { params } = readTemplate(name);
+      const locales = LOCALES.filter((locale) => readFile(name, `${locale}.html`));
+      return { name, locales, params: Object.keys(params || {}) };
+    });
+}
+
+// Partials may have a variant per locale, "footer.fr.html" is used over "footer.html" for French emails
+function readPartial(name, locale, format) {
+  const source = readFile("partials", `${name}.${locale}.${format}`) || readFile("partials", `${name}.${format}`);
+  if (source === null) throw new EmailTemplateError(`Unknown partial "${name}" for ${format} emails`);
+  return source;
+}
+
+/**
+ * Renders the template `name` in `locale`, or in DEFAULT_LOCALE when it has no variant for it.
+ * Every param listed by its template.json is required. Returns `{ subject, html, text, locale }`.
+ */
+function renderEmail(name, { locale = DEFAULT_LOCALE, params = {} } = {}) {
+  const template = readTemplate(name);
+  const missing = Object.keys(template.params || {}).filter((key) => params[key] == null);
+  if (missing.length) throw new EmailTemplateError(`Missing params for "${name}": ${missing.join(", ")}`);
+
+  if (!LOCALES.includes(locale) || !readFile(name, `${locale}.html`)) locale = DEFAULT_LOCALE;
+  const context = { ...params, locale, app_url: APP_URL };
+  const subject = renderTemplate(template.subject[locale] || template.subject[DEFAULT_LOCALE], context);
+
+  const [html, text] = Object.entries(FORMATS).map(([format, escape]) => {
+    const options = { escape, partial: (partial) => readPartial(partial, locale, format) };
+    const content = renderTemplate(readFile(name, `${locale}.${format}`) || "", context, options).trim();
+    return renderTemplate(readFile(`layout.${format}`), { ...context, subject, content }, options).trim();
+  });
+
+  return { subject, html, text, locale };
+}
+
+// Renders the params listed in template.json as examples, for the preview routes
+function previewEmail(name, { locale } = {}) {
+  const { params } = readTemplate(name);
+  return renderEmail(name, { locale, params });
+}
+
+/**
+ * Queues the template `name` for `to`, an array of `{ email, name }`, see services/queue for `idempotencyKey`.
+ * Throws right away when the template cannot be rendered, sending is retried by the queue worker.
+ * Suppressed addresses are left out, resolves with null without queuing anything when no recipient is left.
+ */
+async function sendEmail(name, { to, locale, params }, { idempotencyKey } = {}) {
+  const recipients = await filterSuppressed(to);
+  if (!recipients.length) return null;
+
+  const { subject, html, text } = renderEmail(name, { locale, params });
+  return enqueue("email", { to: recipients, subject, html, text, template: name }, { idempotencyKey });
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  EmailTemplateError,
+  listTemplates,
+  renderEmail,
+  previewEmail,
+  sendEmail,
+};
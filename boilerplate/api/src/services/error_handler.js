@@ -0,0 +1,45 @@
+const { AppError, NotFoundError, toAppError } = require("../utils/errors");
+const { capture } = require("./sentry");
+const { routeOf, recordError } = require("./metrics");
+
+// Route handlers may be async and throw: whatever they throw or reject with goes to errorHandler
+function asyncHandler(handler) {
+  return (req, res, next) =>
+    Promise.resolve()
+      .then(() => handler(req, res, next))
+      .catch(next);
+}
+
+// After every route
+function notFound(req, res, next) {
+  next(new NotFoundError());
+}
+
+/**
+ * Answers every error with `{ ok: false, code, message, details, request_id }`, see utils/errors. `request_id` is the
+ * one given by services/logger.
+ * Errors that are not an AppError are reported and only answered as SERVER_ERROR, their message may leak internals.
+ */
+function errorHandler(err, req, res, next) {
+  const error = toAppError(err);
+  recordError(error);
+  if (!(err instanceof AppError) && error.status >= 500)
+    capture(err, { tags: { method: req.method, route: routeOf(req) } });
+  // A response being streamed cannot be replaced, express closes the connection
+  if (res.headersSent) return next(err);
+
+  if (error.headers) res.set(error.headers);
+  return res.status(error.status).send({
+    ok: false,
+    code: error.code,
+    message: error.message,
+    details: error.details,
+    request_id: req.id,
+  });
+}
+
+module.exports = {
+  asyncHandler,
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,52 @@
+const sharp = require("sharp");
+
+// Sizes generated next to every processed image, always encoded as WebP
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 128, height: 128, fit: "cover" },
+  medium: { width: 640, height: 640, fit: "inside" },
+};
+
+// GIFs are left untouched, processing would drop their animation
+const FORMATS = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+const WEBP_QUALITY = 80;
+
+function isProcessable(type) {
+  return Boolean(FORMATS[type]);
+}
+
+// rotate() without angle applies the EXIF orientation. Metadata is not copied to the output unless asked for.
+function load(buffer) {
+  return sharp(buffer, { failOn: "error" }).rotate();
+}
+
+async function encode(pipeline, extra) {
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  return { buffer: data, type: `image/${info.format}`, width: info.width, height: info.height, ...extra };
+}
+
+/**
+ * Normalizes an uploaded image and renders its IMAGE_VARIANTS. Resolves with the original, in its own format,
+ * and the variants: `{ original, variants: [{ name, buffer, type, width, height }] }`.
+ * Rejects when `buffer` cannot be decoded.
+ */
+async function processImage(buffer, type) {
+  const original = await encode(load(buffer).toFormat(FORMATS[type]));
+  const variants = await Promise.all(
+    Object.entries(IMAGE_VARIANTS).map(([name, { width, height, fit }]) => {
+      const resized = load(buffer).resize({ width, height, fit, withoutEnlargement: true });
+      return encode(resized.webp({ quality: WEBP_QUALITY }), { name });
+    }),
+  );
+  return { original, variants };
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  isProcessable,
+  processImage,
+};
@@ -0,0 +1,126 @@
+const process = require("process");
+
+const config = require("../config");
+const { createApp } = require("../app");
+const { logger } = require("./logger");
+const { capture, flush } = require("./sentry");
+const mongo = require("./mongo");
+const { ensureDefaultRoles } = require("./rbac");
+const { startWorker, stopWorker } = require("./queue");
+
+// Reports still pending when exiting get that long to be sent
+const FLUSH_TIMEOUT = 2000;
+// Connections idle after answering a request in flight are closed this often while draining
+const DRAIN_INTERVAL = 200;
+
+// Logged on startup, settings holding credentials are left out. Credentials of MONGODB_ENDPOINT are masked by the logger.
+const LOGGED_CONFIG = [
+  "ENVIRONMENT",
+  "PORT",
+  "MONGODB_ENDPOINT",
+  "APP_URL",
+  "API_URL",
+  "LOG_LEVEL",
+  "STORAGE_DRIVER",
+  "MAIL_TRANSPORT",
+  "SMS_TRANSPORT",
+  "RATE_LIMIT_STORE",
+  "EMAIL_VERIFICATION_REQUIRED",
+  "MFA_REQUIRED_FOR_ADMINS",
+];
+
+// Run one after the other on shutdown, the last registered first: what started last stops first
+const hooks = [];
+let stopping = null;
+
+function onShutdown(name, hook) {
+  hooks.unshift({ name, hook });
+}
+
+function listen(app, port) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => resolve(server));
+    server.once("error", reject);
+  });
+}
+
+// Stops accepting connections and resolves once the requests in flight are answered
+function closeServer(server) {
+  return new Promise((resolve, reject) => {
+    // Keep-alive connections waiting for a next request would hold close() until they time out
+    const drain = setInterval(() => server.closeIdleConnections(), DRAIN_INTERVAL);
+    server.close((error) => {
+      clearInterval(drain);
+      return error ? reject(error) : resolve();
+    });
+    server.closeIdleConnections();
+  });
+}
+
+/**
+ * Stops the API: stops accepting requests and drains the ones in flight, stops the queue worker, then closes Mongo.
+ * Exits anyway after SHUTDOWN_TIMEOUT. Resolves once done, calling it again gives the same promise.
+ */
+function shutdown(reason) {
+  if (stopping) return stopping;
+  logger.info("shutting down", { reason });
+
+  const timer = setTimeout(() => {
+    logger.error("shutdown timed out, exiting", { timeout_ms: config.SHUTDOWN_TIMEOUT });
+    process.exit(1);
+  }, config.SHUTDOWN_TIMEOUT);
+  timer.unref();
+
+  stopping = (async () => {
+    for (const { name, hook } of hooks) {
+      try {
+        await hook();
+        logger.info("stopped", { component: name });
+      } catch (error) {
+        capture(error, { tags: { service: "lifecycle" }, extra: { component: name } });
+      }
+    }
+    clearTimeout(timer);
+  })();
+  return stopping;
+}
+
+/**
+ * Boots the API, see index.js: waits for Mongo, then starts the background workers and accepts traffic.
+ * Exits when Mongo cannot be reached. SIGTERM and SIGINT shut the API down gracefully.
+ */
+async function start() {
+  logger.debug("config", Object.fromEntries(LOGGED_CONFIG.map((key) => [key, config[key]])));
+
+  try {
+    onShutdown("sentry", () => flush(FLUSH_TIMEOUT));
+
+    await mongo.connect();
+    onShutdown("mongo", () => mongo.disconnect());
+
+    await ensureDefaultRoles();
+    startWorker();
+    onShutdown("queue worker", () => stopWorker());
+
+    const app = createApp();
+    const server = await listen(app, config.PORT);
+    onShutdown("http server", () => closeServer(server));
+    logger.info("listening", { port: config.PORT });
+
+    for (const signal of ["SIGTERM", "SIGINT"]) {
+      process.once(signal, () => shutdown(signal).then(() => process.exit(0)));
+    }
+    return { app, server };
+  } catch (error) {
+    capture(error, { tags: { service: "lifecycle" } });
+    logger.error("startup failed, exiting");
+    await flush(FLUSH_TIMEOUT);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  start,
+  shutdown,
+  onShutdown,
+};
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const process = require("process");
+const { Buffer } = require("buffer");
+const mongoose = require("mongoose");
+
+const ERROR_CODES = require("../utils/errorCodes");
+const { UnauthorizedError } = require("../utils/errors");
+const { METRICS_TOKEN } = require("../config");
+const { withTimeout } = require("../utils");
+const { stats } = require("./queue");
+const { storage } = require("./storage");
+
+// Scrapes must not wait on a storage that does not answer
+const STORAGE_PING_TIMEOUT = 2000;
+
+// Seconds, from a cached read to a large upload
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Error codes counted as failed authentications: wrong credentials, expired sessions, locked accounts...
+const AUTH_FAILURE_CODES = new Set([
+  ERROR_CODES.UNAUTHORIZED,
+  ERROR_CODES.USER_NOT_EXISTS,
+  ERROR_CODES.EMAIL_OR_PASSWORD_INVALID,
+  ERROR_CODES.ACCOUNT_LOCKED,
+  ERROR_CODES.PASSWORD_INVALID,
+  ERROR_CODES.REFRESH_TOKEN_INVALID,
+  ERROR_CODES.REFRESH_TOKEN_REUSED,
+  ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID,
+  ERROR_CODES.MFA_CODE_INVALID,
+]);
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+// `{method="GET",route="/user/:id"}`, also the key of the series
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function header(name, type, help) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+  return {
+    inc(labels = {}, value = 1) {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      return [...header(name, "counter", help), ...[...series].map(([key, value]) => `${name}${key} ${value}`)];
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const serie = series.get(key);
+      buckets.forEach((bucket, i) => {
+        if (value <= bucket) serie.counts[i] += 1;
+      });
+      serie.sum += value;
+      serie.count += 1;
+    },
+    render() {
+      const lines = header(name, "histogram", help);
+      for (const [key, { labels, counts, sum, count }] of series) {
+        buckets.forEach((bucket, i) =>
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[i]}`),
+        );
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${key} ${sum}`);
+        lines.push(`${name}_count${key} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// Values read when scraped
+function gauges(name, help, values) {
+  return [
+    ...header(name, "gauge", help),
+    ...values.map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`),
+  ];
+}
+
+const requests = createCounter("http_requests_total", "Requests answered, by route and status");
+const durations = createHistogram("http_request_duration_seconds", "Time to answer, by route", DURATION_BUCKETS);
+const errors = createCounter("http_errors_total", "Error responses, by error code, see GET /errors");
+const authFailures = createCounter("auth_failures_total", "Failed authentications, by error code");
+
+// Mounted with each router, see app.js: Express forgets req.baseUrl once a route passes an error on
+function noteMountPath(req, res, next) {
+  req.mountPath = req.baseUrl;
+  next();
+}
+
+// Route template of the request, "/user/:id", or "unmatched"
+function routeOf(req) {
+  if (!req.route) return "unmatched";
+  return `${req.mountPath ?? req.baseUrl}${req.route.path}`;
+}
+
+// Before the routes: counts and times every request. Routes are labelled with their template, to keep a bounded
+// number of series whatever the urls requested.
+function metricsMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const labels = { method: req.method, route: routeOf(req) };
+    requests.inc({ ...labels, status: res.statusCode });
+    durations.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+}
+
+// Called by services/error_handler for every error answered
+function recordError(error) {
+  errors.inc({ code: error.code, status: error.status });
+  if (AUTH_FAILURE_CODES.has(error.code)) authFailures.inc({ code: error.code });
+}
+
+// Prometheus text format
+async function renderMetrics() {
+  // Left out while Mongo cannot be reached, queries would wait for it and the other metrics are still worth scraping
+  const connected = mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+  const [queue, storageUp] = await Promise.all([
+    connected ? stats().catch(() => null) : null,
+    withTimeout(storage.ping(), STORAGE_PING_TIMEOUT)
+      .then(() => 1)
+      .catch(() => 0),
+  ]);
+  const memory = process.memoryUsage();
+  const lines = [
+    ...requests.render(),
+    ...durations.render(),
+    ...errors.render(),
+    ...authFailures.render(),
+    ...(queue
+      ? [
+          ...gauges("queue_messages", "Queued messages, by status", [
+            [{ status: "pending" }, queue.pending],
+            [{ status: "processing" }, queue.processing],
+            [{ status: "dead" }, queue.dead],
+          ]),
+          ...gauges("queue_oldest_due_seconds", "Wait of the oldest message due", [[{}, queue.oldest_due_ms / 1000]]),
+        ]
+      : []),
+    ...gauges("storage_up", "Whether the storage answered", [[{}, storageUp]]),
+    ...gauges("process_uptime_seconds", "Time since the API started", [[{}, process.uptime()]]),
+    ...gauges("process_resident_memory_bytes", "Resident memory", [[{}, memory.rss]]),
+    ...gauges("nodejs_heap_used_bytes", "Heap used", [[{}, memory.heapUsed]]),
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+// Scrapes are open unless METRICS_TOKEN is set, then they must send it as a bearer token
+function authorizeScrape(req, res, next) {
+  if (!METRICS_TOKEN) return next();
+
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const received = Buffer.from(req.get("Authorization") || "");
+  if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) return next();
+  return next(new UnauthorizedError());
+}
+
+module.exports = {
+  noteMountPath,
+  routeOf,
+  metricsMiddleware,
+  recordError,
+  renderMetrics,
+  authorizeScrape,
+};
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+
+const config = require("../config");
+const totp = require("../utils/totp");
+const { ADMIN_ROLE } = require("./rbac");
+
+const MFA_TOKEN_MAX_AGE = "5m";
+const MFA_TOKEN_PURPOSE = "mfa_pending";
+const RECOVERY_CODES_COUNT = 10;
+
+// `user.role` must be populated
+function isMfaRequired(user) {
+  return config.MFA_REQUIRED_FOR_ADMINS && user.role?.name === ADMIN_ROLE;
+}
+
+// Proves the password step succeeded. It carries no session id, so passport never accepts it as an access token.
+function signMfaToken(user) {
+  return jwt.sign({ _id: user._id, purpose: MFA_TOKEN_PURPOSE }, config.SECRET, { expiresIn: MFA_TOKEN_MAX_AGE });
+}
+
+function verifyMfaToken(token) {
+  try {
+    const payload = jwt.verify(token || "", config.SECRET);
+    if (payload.purpose !== MFA_TOKEN_PURPOSE) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Starts an enrollment: the secret only becomes active once a code generated from it is verified
+function startEnrollment(user) {
+  const secret = totp.generateSecret();
+  user.mfa_pending_secret = secret;
+  return { secret, otpauth_uri: totp.otpauthURI(secret, { issuer: config.MFA_ISSUER, account: user.email }) };
+}
+
+// Returns the plain recovery codes, shown once to the user. Only their bcrypt hashes are stored.
+async function generateRecoveryCodes(user) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString("hex");
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  user.mfa_recovery_codes = await Promise.all(codes.map((code) => bcrypt.hash(code, 10)));
+  return codes;
+}
+
+// Activates the pending secret if `code` matches it. Requires the document to be loaded with `+mfa_pending_secret`.
+async function completeEnrollment(user, code) {
+  if (!user.mfa_pending_secret) return null;
+
+  const step = totp.verify(user.mfa_pending_secret, code);
+  if (step === null) return null;
+
+  user.mfa_secret = user.mfa_pending_secret;
+  user.mfa_pending_secret = undefined;
+  user.mfa_last_step = step;
+  user.mfa_enabled = true;
+  return generateRecoveryCodes(user);
+}
+
+// Checks a TOTP code, or a recovery code as a fallback. Requires the document to be loaded with the mfa fields.
+async function verifySecondFactor(user, { code, recovery_code }) {
+  if (recovery_code) return user.useRecoveryCode(recovery_code);
+
+  const step = totp.verify(user.mfa_secret, code, { afterStep: user.mfa_last_step ?? -1 });
+  if (step === null) return false;
+  user.mfa_last_step = step;
+  return true;
+}
+
+function disable(user) {
+  user.mfa_enabled = false;
+  user.mfa_secret = undefined;
+  user.mfa_pending_secret = undefined;
+  user.mfa_recovery_codes = [];
+  user.mfa_last_step = undefined;
+}
+
+module.exports = {
+  isMfaRequired,
+  signMfaToken,
+  verifyMfaToken,
+  startEnrollment,
+  completeEnrollment,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  disable,
+};
@@ -1,21 +1,45 @@
 const mongoose = require("mongoose");
 const { MONGODB_ENDPOINT } = require("../config.js");
+const { logger } = require("./logger");
 
-console.log("Connecting to mongoDB...");
-mongoose
-  .connect(MONGODB_ENDPOINT)
-  .then((r) => {
-    console.log("MongoDB Connected");
-  })
-  .catch((error) => {
-    console.error("Connection failed", error);
-  });
+// Attempts before giving up on startup, 1s after the first failure then doubling: under a minute in all
+const CONNECT_ATTEMPTS = 5;
+const CONNECT_RETRY_DELAY = 1000;
+// Each attempt fails after that instead of mongoose's 30s
+const SERVER_SELECTION_TIMEOUT = 5000;
 
-mongoose.Promise = global.Promise; //Get the default connection
-let db = mongoose.connection;
+const db = mongoose.connection;
 
-//Bind connection to error event (to get notification of connection errors)
-db.on("error", console.error.bind(console, "MongoDB connection error:"));
-db.once("open", () => console.log("CONNECTED OK"));
+// Once connected, the driver reconnects by itself: errors are only logged
+db.on("error", (error) => logger.error("mongodb connection error", error));
+db.on("disconnected", () => logger.warn("mongodb disconnected"));
+db.on("reconnected", () => logger.info("mongodb reconnected"));
 
-module.exports = db;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once connected, throws the last error after CONNECT_ATTEMPTS failures
+async function connect() {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      logger.info("connecting to mongodb", { attempt });
+      await mongoose.connect(MONGODB_ENDPOINT, { serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT });
+      logger.info("mongodb connected");
+      return db;
+    } catch (error) {
+      if (attempt >= CONNECT_ATTEMPTS) throw error;
+      const delay = CONNECT_RETRY_DELAY * 2 ** (attempt - 1);
+      logger.warn("mongodb connection failed, retrying", { attempt, retry_in_ms: delay, error });
+      await sleep(delay);
+    }
+  }
+}
+
+function disconnect() {
+  return mongoose.disconnect();
+}
+
+module.exports = {
+  db,
+  connect,
+  disconnect,
+};
@@ -1,39 +1,40 @@
 const passport = require("passport");
 const JwtStrategy = require("passport-jwt").Strategy;
-const ExtractJwt = require("passport-jwt").ExtractJwt;
 const { SECRET } = require("../config");
-const Sentry = require("@sentry/node");
+const { setUser } = require("./sentry");
 // load up the user model
 const User = require("../models/user");
+const Session = require("../models/session");
+
+// Tokens issued before a "log out everywhere" are no longer accepted. `iat` is in seconds.
+function isTokenRevoked(user, jwtPayload) {
+  if (!user.tokens_revoked_at) return false;
+  return jwtPayload.iat * 1000 < user.tokens_revoked_at.getTime();
+}
+
+// Every access token is tied to the session it was issued for, and dies with it
+async function findActiveSession(user, jwtPayload) {
+  if (!jwtPayload.sid) return null;
+  return Session.findOne({ _id: jwtPayload.sid, user: user._id, revoked_at: null });
+}
+
 module.exports = function (app) {
   const opts = {};
   opts.jwtFromRequest = (req) => req.cookies.jwt;
   opts.secretOrKey = SECRET;
 
+  // Authentication only: what the user may do is checked per route with authorize() from services/rbac
   passport.use(
-    "user",
-    new JwtStrategy(opts, async function (jwtPayload, done) {
-      try {
-        const user = await User.findOne({ _id: jwtPayload._id });
-        if (!user) return done(null, false);
-        if (user.role !== "user") return done(null, false);
-        Sentry.setUser({ id: user._id.toString(), username: user.first_name + user.last_name, email: user.email });
-        return done(null, user);
-      } catch (error) {
-        return done(error, false);
-      }
-    }),
-  );
-
-  passport.use(
-    "admin",
+    "jwt",
     new JwtStrategy(opts, async function (jwtPayload, done) {
       try {
-        const user = await User.findOne({ _id: jwtPayload._id });
-        if (!user) return done(null, false);
-        if (user.role !== "admin") return done(null, false);
-        Sentry.setUser({ id: user._id.toString(), username: user.first_name + user.last_name, email: user.email });
-        return done(null, user);
+        const user = await User.findOne({ _id: jwtPayload._id }).populate("role");
+        if (!user || !user.role) return done(null, false);
+        if (isTokenRevoked(user, jwtPayload)) return done(null, false);
+        const session = await findActiveSession(user, jwtPayload);
+        if (!session) return done(null, false);
+        setUser(user);
+        return done(null, user, { session });
       } catch (error) {
         return done(error, false);
       }
@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+const { DEFAULT_COUNTRY } = require("../config");
+const { normalizePhone } = require("../utils/phone");
+const { enqueue } = require("./queue");
+
+const CODE_LENGTH = 6;
+// 10 minutes
+const CODE_MAX_AGE = 600000;
+// Minimum delay between two codes sent to the same user
+const RESEND_DELAY = 60000;
+// Wrong codes allowed before a new one has to be sent
+const MAX_ATTEMPTS = 5;
+
+const MESSAGES = {
+  en: (code) => `${code} is your verification code. It expires in 10 minutes.`,
+  fr: (code) => `${code} est votre code de vérification. Il expire dans 10 minutes.`,
+};
+
+// Milliseconds before another code may be sent to `user`, 0 when it can be sent now
+function resendDelay(user) {
+  const elapsed = Date.now() - (user.phone_verification_sent_at?.getTime() || 0);
+  return Math.max(0, RESEND_DELAY - elapsed);
+}
+
+/**
+ * Sets `phone` as the number of `user`, read as a number of the user's country when it has no country calling code,
+ * saves the user and queues an SMS with a code proving the user owns it.
+ * Returns null, without changing anything, when `phone` is not a number able to receive SMS.
+ */
+async function startVerification(user, phone, country) {
+  const normalized = normalizePhone(phone, country || user.country || DEFAULT_COUNTRY);
+  if (!normalized || !normalized.sms) return null;
+
+  const code = crypto
+    .randomInt(0, 10 ** CODE_LENGTH)
+    .toString()
+    .padStart(CODE_LENGTH, "0");
+  if (normalized.number !== user.phone) user.phone_verified_at = undefined;
+  user.set({
+    phone: normalized.number,
+    country: user.country || normalized.country,
+    phone_verification_code: await bcrypt.hash(code, 10),
+    phone_verification_expires: Date.now() + CODE_MAX_AGE,
+    phone_verification_sent_at: Date.now(),
+    phone_verification_attempts: 0,
+  });
+  await user.save();
+
+  const message = MESSAGES[user.language] || MESSAGES.en;
+  await enqueue("sms", { recipient: normalized.number, content: message(code), tag: "phone_verification" });
+  return normalized;
+}
+
+// Marks the phone of `user` verified if `code` is the last one sent, requires `+phone_verification_code`.
+// Wrong codes count towards MAX_ATTEMPTS, the user has to be saved either way.
+async function completeVerification(user, code) {
+  const usable =
+    user.phone_verification_code &&
+    user.phone_verification_expires > Date.now() &&
+    user.phone_verification_attempts < MAX_ATTEMPTS;
+  if (!usable) return false;
+
+  const match = await bcrypt.compare(code, user.phone_verification_code);
+  if (!match) {
+    user.phone_verification_attempts += 1;
+    return false;
+  }
+
+  user.set({
+    phone_verified_at: Date.now(),
+    phone_verification_code: undefined,
+    phone_verification_expires: undefined,
+    phone_verification_attempts: 0,
+  });
+  return true;
+}
+
+// Forgets the phone of `user`, the user is not saved
+function removePhone(user) {
+  user.set({
+    phone: undefined,
+    phone_verified_at: undefined,
+    phone_verification_code: undefined,
+    phone_verification_expires: undefined,
+    phone_verification_attempts: 0,
+  });
+}
+
+module.exports = {
+  resendDelay,
+  startVerification,
+  completeVerification,
+  removePhone,
+};
@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+
+const MessageObject = require("../models/message");
+
+const { capture } = require("./sentry");
+const { logger, getContext, withContext } = require("./logger");
+const { deliverEmail } = require("./delivery");
+const { smsTransport } = require("./transport");
+
+// How a worker sends the payload of each channel, with the transports chosen in config. Handlers get the payload and
+// the message, and throw when it was not sent: errors with `retryable: false` send it to the dead letters right away.
+const HANDLERS = {
+  // Skips suppressed addresses and logs the delivery, see services/delivery
+  email: (payload, message) => deliverEmail(payload, message),
+  sms: (payload) => smsTransport.sendSms(payload),
+};
+
+// Due messages are looked for this often, and right after being queued
+const POLL_INTERVAL = 5000;
+// A message still processing after that was abandoned by its worker (crash, deploy) and is taken over
+const LOCK_DURATION = 60000;
+// 30s after the first failure, then doubling up to 1 hour, with up to 20% of jitter
+const RETRY_BASE_DELAY = 30000;
+const RETRY_MAX_DELAY = 3600000;
+// Sent messages are kept a week to look into deliveries
+const SENT_RETENTION = 7 * 24 * 3600000;
+
+function retryDelay(attempts) {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+  return delay + Math.random() * delay * 0.2;
+}
+
+const worker = { id: crypto.randomUUID(), stopped: true, running: null, woken: false, timer: null };
+
+/**
+ * Stores a message for the worker to send, resolves once it is safely queued.
+ * With an `idempotencyKey` already used, resolves with the message queued first and queues nothing.
+ */
+async function enqueue(channel, payload, { idempotencyKey, maxAttempts } = {}) {
+  if (!HANDLERS[channel]) throw new Error(`Unknown message channel "${channel}"`);
+
+  let message;
+  try {
+    message = await MessageObject.create({
+      channel,
+      payload,
+      idempotency_key: idempotencyKey,
+      max_attempts: maxAttempts,
+      request_id: getContext().request_id,
+    });
+  } catch (error) {
+    if (error.code !== 11000 || !idempotencyKey) throw error;
+    return MessageObject.findOne({ idempotency_key: idempotencyKey });
+  }
+
+  wake();
+  return message;
+}
+
+// Takes the next due message, atomically so that several API instances can run a worker
+function claim() {
+  const now = new Date();
+  return MessageObject.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", run_at: { $lte: now } },
+        { status: "processing", locked_until: { $lt: now } },
+      ],
+    },
+    {
+      $set: { status: "processing", locked_until: new Date(now.getTime() + LOCK_DURATION), locked_by: worker.id },
+      $inc: { attempts: 1 },
+    },
+    { sort: { run_at: 1 }, new: true },
+  );
+}
+
+// Runs in the context of the request that queued the message: what gets logged while sending carries its request_id
+function deliver(message) {
+  const fields = { message_id: message._id.toString(), channel: message.channel, attempt: message.attempts };
+  return withContext({ request_id: message.request_id, ...fields }, () => send(message));
+}
+
+// Only while this worker still holds the lock: a message taken over after LOCK_DURATION belongs to another worker
+async function release(message, update) {
+  const { modifiedCount } = await MessageObject.updateOne(
+    { _id: message._id, status: "processing", locked_by: worker.id },
+    { ...update, $unset: { ...update.$unset, locked_until: 1, locked_by: 1 } },
+  );
+  if (!modifiedCount) logger.warn("message lock lost, left to the worker that took it over");
+  return modifiedCount > 0;
+}
+
+async function send(message) {
+  try {
+    await HANDLERS[message.channel](message.payload, message);
+    const now = Date.now();
+    const released = await release(message, {
+      $set: { status: "sent", sent_at: now, expires_at: now + SENT_RETENTION },
+      $unset: { last_error: 1 },
+    });
+    if (released) logger.info("message sent");
+  } catch (error) {
+    const dead = error.retryable === false || message.attempts >= message.max_attempts;
+    const released = await release(message, {
+      $set: {
+        status: dead ? "dead" : "pending",
+        run_at: Date.now() + retryDelay(message.attempts),
+        last_error: error.message,
+      },
+    });
+    if (!released) return;
+    if (dead) capture(error, { tags: { service: "queue" }, extra: { attempts: message.attempts } });
+    else logger.warn("message failed, retrying later", { error });
+  }
+}
+
+// Sends due messages one at a time until there are none left, then waits for POLL_INTERVAL or the next enqueue()
+async function work() {
+  clearTimeout(worker.timer);
+  worker.woken = false;
+  try {
+    let message;
+    while (!worker.stopped && (message = await claim())) await deliver(message);
+  } catch (error) {
+    capture(error, { tags: { service: "queue" } });
+  }
+
+  if (worker.stopped) return;
+  if (worker.woken) return work();
+  worker.timer = setTimeout(wake, POLL_INTERVAL);
+  worker.timer.unref();
+}
+
+function wake() {
+  if (worker.stopped) return;
+  if (worker.running) {
+    worker.woken = true;
+    return;
+  }
+  worker.running = work().finally(() => {
+    worker.running = null;
+  });
+}
+
+function startWorker() {
+  if (!worker.stopped) return;
+  worker.stopped = false;
+  wake();
+}
+
+// Resolves once the message being sent, if any, is done. Messages left are sent by the next worker.
+async function stopWorker() {
+  worker.stopped = true;
+  clearTimeout(worker.timer);
+  await worker.running;
+}
+
+// Backlog for /metrics: messages waiting by status, and for how long the oldest due one has been waiting
+async function stats() {
+  const counts = await MessageObject.aggregate([
+    { $match: { status: { $in: ["pending", "processing", "dead"] } } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const oldest = await MessageObject.findOne({ status: "pending", run_at: { $lte: new Date() } })
+    .sort({ run_at: 1 })
+    .select("run_at");
+
+  const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+  return {
+    pending: byStatus.pending || 0,
+    processing: byStatus.processing || 0,
+    dead: byStatus.dead || 0,
+    oldest_due_ms: oldest ? Date.now() - oldest.run_at.getTime() : 0,
+  };
+}
+
+// Gives a dead message a new set of attempts
+async function retry(id) {
+  const message = await MessageObject.findOneAndUpdate(
+    { _id: id, status: "dead" },
+    { $set: { status: "pending", attempts: 0, run_at: Date.now() } },
+    { new: true },
+  );
+  if (message) wake();
+  return message;
+}
+
+module.exports = {
+  enqueue,
+  retry,
+  stats,
+  startWorker,
+  stopWorker,
+};
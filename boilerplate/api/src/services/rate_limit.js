@@ -0,0 +1,136 @@
+const RateLimitObject = require("../models/rate_limit");
+
+const { RATE_LIMIT_STORE } = require("../config");
+const { TooManyRequestsError } = require("../utils/errors");
+const { capture } = require("./sentry");
+
+// Sliding windows, approximated from two counters per key: hits of the current slot of `windowMs` (slots are aligned
+// on multiples of it) and hits of the previous slot, weighted by the share of the window still overlapping it, see
+// rateLimit. Stores record a hit and return `{ previous, current, elapsed }`, `elapsed` being the time spent in the
+// current slot. Rejected hits count too: a client hammering the API stays blocked.
+
+// Start of the slot `now` falls in
+const slotStart = (now, windowMs) => now - (now % windowMs);
+
+// Kept in process memory, fine for a single instance and development
+class MemoryStore {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.slots = new Map();
+    this.interval = setInterval(() => this.sweep(), windowMs);
+    this.interval.unref();
+  }
+
+  async hit(key) {
+    const now = Date.now();
+    const start = slotStart(now, this.windowMs);
+    let slot = this.slots.get(key);
+    if (!slot || slot.start !== start) {
+      const previous = slot?.start === start - this.windowMs ? slot.current : 0;
+      slot = { start, previous, current: 0 };
+      this.slots.set(key, slot);
+    }
+    slot.current += 1;
+    return { previous: slot.previous, current: slot.current, elapsed: now - start };
+  }
+
+  async reset(key) {
+    this.slots.delete(key);
+  }
+
+  // Drops keys without hits in the current and previous slots
+  sweep() {
+    const previousStart = slotStart(Date.now(), this.windowMs) - this.windowMs;
+    for (const [key, { start }] of this.slots) {
+      if (start < previousStart) this.slots.delete(key);
+    }
+  }
+}
+
+// Same counters, shared by every instance through one rate_limit document per key and slot
+class MongoStore {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+  }
+
+  async hit(key, retry = true) {
+    const now = Date.now();
+    const start = slotStart(now, this.windowMs);
+    try {
+      const [current, previous] = await Promise.all([
+        RateLimitObject.findOneAndUpdate(
+          { key, window_start: start },
+          // Still read as the previous slot during the next one
+          { $inc: { hits: 1 }, $setOnInsert: { expires_at: start + 2 * this.windowMs } },
+          { upsert: true, new: true },
+        ),
+        RateLimitObject.findOne({ key, window_start: start - this.windowMs }),
+      ]);
+      return { previous: previous?.hits || 0, current: current.hits, elapsed: now - start };
+    } catch (error) {
+      // Another instance created the slot meanwhile
+      if (error.code === 11000 && retry) return this.hit(key, false);
+      throw error;
+    }
+  }
+
+  async reset(key) {
+    await RateLimitObject.deleteMany({ key });
+  }
+}
+
+function createStore(windowMs) {
+  if (RATE_LIMIT_STORE === "mongo") return new MongoStore(windowMs);
+  return new MemoryStore(windowMs);
+}
+
+// Hits in the `windowMs` before now, counting the previous slot's hits as evenly spread over it
+function weightedCount({ previous, current, elapsed }, windowMs) {
+  return previous * (1 - elapsed / windowMs) + current;
+}
+
+// Milliseconds until a next hit would be allowed, when no other one is made meanwhile
+function retryDelay({ previous, current, elapsed }, windowMs, max) {
+  // The previous slot's weight falls enough before the current slot ends
+  if (current < max && previous > 0) return windowMs * (1 - (max - 1 - current) / previous) - elapsed;
+  // Otherwise once the current slot became the previous one, and weighs little enough
+  return windowMs - elapsed + windowMs * (1 - (max - 1) / current);
+}
+
+/**
+ * Express middleware allowing `max` requests per sliding `windowMs` for each key returned by `key(req)`.
+ * Requests for which `key` returns nothing are not counted. Errors of the store never block a request.
+ */
+function rateLimit({ name, windowMs, max, key }) {
+  const store = createStore(windowMs);
+
+  const middleware = async (req, res, next) => {
+    try {
+      const value = key(req);
+      if (!value) return next();
+
+      const hits = await store.hit(`${name}:${value}`);
+      if (weightedCount(hits, windowMs) <= max) return next();
+
+      return next(new TooManyRequestsError(undefined, { retryAfter: retryDelay(hits, windowMs, max) }));
+    } catch (error) {
+      capture(error, { tags: { service: "rate_limit", limiter: name } });
+      return next();
+    }
+  };
+  middleware.reset = (value) => store.reset(`${name}:${value}`);
+  return middleware;
+}
+
+const byIp = (req) => req.ip;
+// Limiters run before the body is validated
+const byEmail = (req) => (typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "");
+// Behind `authenticate`
+const byUser = (req) => req.user?._id.toString();
+
+module.exports = {
+  rateLimit,
+  byIp,
+  byEmail,
+  byUser,
+};
@@ -0,0 +1,106 @@
+const RoleObject = require("../models/role");
+const UserObject = require("../models/user");
+
+const { ForbiddenError } = require("../utils/errors");
+
+// Every permission checked somewhere with authorize()
+const PERMISSIONS = [
+  "user:read",
+  "user:write",
+  "user:delete",
+  "role:read",
+  "role:write",
+  "dummy:read",
+  "dummy:write",
+  "file:write",
+  // Reach the files of other users, owners always reach their own
+  "file:read",
+  "file:delete",
+  // Preview the transactional email templates, follow deliveries and suppressed addresses
+  "email:read",
+  // Lift suppressed addresses
+  "email:write",
+  // Outbound email and SMS queue, retrying dead messages
+  "message:read",
+  "message:write",
+  // Messages kept by the "capture" transport, see /dev/mailbox
+  "mailbox:read",
+  "mailbox:delete",
+];
+
+const DEFAULT_ROLE = "user";
+const ADMIN_ROLE = "admin";
+
+const DEFAULT_ROLES = [
+  {
+    name: DEFAULT_ROLE,
+    description: "Default role given at signup",
+    permissions: ["dummy:read", "dummy:write", "file:write"],
+  },
+  { name: ADMIN_ROLE, description: "Full access", permissions: ["*"] },
+];
+
+function isValidPermission(permission) {
+  if (permission === "*") return true;
+  if (permission.endsWith(":*")) return PERMISSIONS.some((p) => p.startsWith(permission.slice(0, -1)));
+  return PERMISSIONS.includes(permission);
+}
+
+// `user.role` must be populated
+function hasPermission(user, permission) {
+  const granted = user?.role?.permissions || [];
+  const [resource] = permission.split(":");
+  return granted.includes("*") || granted.includes(`${resource}:*`) || granted.includes(permission);
+}
+
+// To use after passport.authenticate(): rejects the request unless the user's role grants `permission`
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) return next(new ForbiddenError());
+    return next();
+  };
+}
+
+function getDefaultRole() {
+  return RoleObject.findOne({ name: DEFAULT_ROLE });
+}
+
+// Changes to DEFAULT_ROLES made after roles were created, applied once to each role: `defaults_version` records the
+// last one, later edits by admins are kept. Roles created before versions existed are at version 1.
+const DEFAULT_ROLES_MIGRATIONS = [
+  // Let any user list every other user
+  { version: 2, name: DEFAULT_ROLE, update: { $pull: { permissions: { $in: ["user:read"] } } } },
+];
+const DEFAULT_ROLES_VERSION = Math.max(1, ...DEFAULT_ROLES_MIGRATIONS.map(({ version }) => version));
+
+/**
+ * Creates the default roles if missing, upgrades existing ones through DEFAULT_ROLES_MIGRATIONS, and moves users still
+ * holding the former "user"/"admin" strings to them. Run on startup, see services/lifecycle: throws when it fails.
+ */
+async function ensureDefaultRoles() {
+  for (const role of DEFAULT_ROLES) {
+    const { _id } = await RoleObject.findOneAndUpdate(
+      { name: role.name },
+      { $setOnInsert: { ...role, system: true, defaults_version: DEFAULT_ROLES_VERSION } },
+      { upsert: true, new: true },
+    );
+    await UserObject.collection.updateMany({ role: role.name }, { $set: { role: _id } });
+  }
+  for (const { version, name, update } of DEFAULT_ROLES_MIGRATIONS) {
+    await RoleObject.updateOne(
+      { name, defaults_version: { $not: { $gte: version } } },
+      { ...update, $set: { defaults_version: version } },
+    );
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE,
+  ADMIN_ROLE,
+  isValidPermission,
+  hasPermission,
+  authorize,
+  getDefaultRole,
+  ensureDefaultRoles,
+};
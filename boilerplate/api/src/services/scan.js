@@ -0,0 +1,211 @@
+const net = require("net");
+const zlib = require("zlib");
+const { Buffer } = require("buffer");
+const { PassThrough } = require("stream");
+
+const { CLAMAV_HOST, CLAMAV_PORT } = require("../config");
+const ERROR_CODES = require("../utils/errorCodes");
+const { readAll } = require("../utils");
+const { extensionsOf } = require("../utils/mime");
+
+// A scanner is { name, scan({ stream, name, type, extension }) }: `stream` is the content of the upload, `name` the
+// file name sent by the client, `type` and `extension` were detected from the content by utils/mime.
+// scan() resolves with null when the file passes, with the code of the reason otherwise, and rejects when the file
+// could not be scanned. It does not have to read the whole stream.
+
+// The extension of the client's file name must match its content, "invoice.pdf.exe" or a PDF named "photo.jpg"
+// would be opened by the wrong program once downloaded. Names without an extension pass.
+const extensionScanner = {
+  name: "extension",
+  async scan({ name, type }) {
+    const match = /\.([^.]+)$/.exec(name || "");
+    if (!match) return null;
+    return extensionsOf(type).includes(match[1].toLowerCase()) ? null : ERROR_CODES.EXTENSION_MISMATCH;
+  },
+};
+
+const MB = 1024 * 1024;
+// What an archive may expand to, in total and relative to its own size. The ratio is only checked above
+// ARCHIVE_MIN_BOMB_SIZE, small archives of text legitimately compress further.
+const ARCHIVE_MAX_SIZE = 1024 * MB;
+const ARCHIVE_MAX_RATIO = 100;
+const ARCHIVE_MIN_BOMB_SIZE = 10 * MB;
+const ARCHIVE_MAX_ENTRIES = 10000;
+
+function isBomb(expanded, size) {
+  return expanded > ARCHIVE_MAX_SIZE || expanded > Math.max(ARCHIVE_MIN_BOMB_SIZE, size * ARCHIVE_MAX_RATIO);
+}
+
+// The end of central directory record is at the end of the file, followed by a comment of up to 64KB
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_EOCD_SIZE = 22;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_ENTRY_SIZE = 46;
+const ZIP_LOCAL_HEADER_SIZE = 30;
+// Values of the 32 bits fields of zip64 archives, which are not expected from files the size of our uploads
+const ZIP64_MARKER = 0xffffffff;
+
+// Reads the sizes declared by the central directory, without extracting anything. Entries whose data overlap are
+// how zip bombs reach huge ratios without nesting archives.
+function scanZip(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - ZIP_EOCD_SIZE; i >= Math.max(0, buffer.length - ZIP_EOCD_SIZE - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) return ERROR_CODES.INVALID_ARCHIVE;
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  const offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === ZIP64_MARKER) return ERROR_CODES.INVALID_ARCHIVE;
+  if (count > ARCHIVE_MAX_ENTRIES) return ERROR_CODES.ARCHIVE_BOMB;
+
+  const entries = [];
+  let expanded = 0;
+  for (let position = offset, i = 0; i < count; i++) {
+    if (position + ZIP_ENTRY_SIZE > buffer.length || buffer.readUInt32LE(position) !== ZIP_ENTRY_SIGNATURE) {
+      return ERROR_CODES.INVALID_ARCHIVE;
+    }
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const start = buffer.readUInt32LE(position + 42);
+    if ([compressedSize, size, start].includes(ZIP64_MARKER)) return ERROR_CODES.INVALID_ARCHIVE;
+
+    entries.push({ start, end: start + ZIP_LOCAL_HEADER_SIZE + nameLength + compressedSize });
+    expanded += size;
+    if (isBomb(expanded, buffer.length)) return ERROR_CODES.ARCHIVE_BOMB;
+
+    position += ZIP_ENTRY_SIZE + nameLength + buffer.readUInt16LE(position + 30) + buffer.readUInt16LE(position + 32);
+  }
+
+  entries.sort((a, b) => a.start - b.start);
+  const overlap = entries.some((entry, i) => i > 0 && entry.start < entries[i - 1].end);
+  return overlap ? ERROR_CODES.ARCHIVE_BOMB : null;
+}
+
+// Gzip does not declare its size reliably, so the content is inflated and counted, until it grows too large
+function scanGzip(stream) {
+  return new Promise((resolve, reject) => {
+    const gunzip = zlib.createGunzip();
+    let size = 0;
+    let expanded = 0;
+
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+    });
+    stream.on("error", reject);
+    gunzip.on("data", (chunk) => {
+      expanded += chunk.length;
+      if (!isBomb(expanded, size)) return;
+      stream.unpipe(gunzip);
+      gunzip.destroy();
+      resolve(ERROR_CODES.ARCHIVE_BOMB);
+    });
+    gunzip.on("end", () => resolve(null));
+    gunzip.on("error", () => resolve(ERROR_CODES.INVALID_ARCHIVE));
+    stream.pipe(gunzip);
+  });
+}
+
+// Keeps archives from exhausting the disk or memory of whoever extracts them. Other types pass.
+const archiveScanner = {
+  name: "archive",
+  async scan({ stream, type }) {
+    if (type === "application/zip") return scanZip(await readAll(stream));
+    if (type === "application/gzip") return scanGzip(stream);
+    return null;
+  },
+};
+
+const CLAMAV_TIMEOUT = 30 * 1000;
+// INSTREAM chunks are prefixed with their length, a zero length ends the stream
+const CLAMAV_CHUNK_LENGTH_SIZE = 4;
+
+// Sends the content to a clamd daemon with the INSTREAM command, https://docs.clamav.net/manual/Usage/Scanning.html
+// The daemon answers "stream: OK" or "stream: <signature> FOUND".
+function clamavScanner({ host, port, timeout = CLAMAV_TIMEOUT }) {
+  return {
+    name: "clamav",
+    scan: ({ stream }) =>
+      new Promise((resolve, reject) => {
+        let reply = "";
+        const socket = net.connect({ host, port });
+        socket.setTimeout(timeout, () => socket.destroy(new Error("clamd did not answer in time")));
+        socket.on("error", reject);
+        stream.on("error", (error) => {
+          socket.destroy();
+          reject(error);
+        });
+
+        socket.on("connect", () => {
+          // "z" prefixed commands are terminated by a null byte
+          socket.write("zINSTREAM\0");
+          stream.on("data", (chunk) => {
+            const length = Buffer.alloc(CLAMAV_CHUNK_LENGTH_SIZE);
+            length.writeUInt32BE(chunk.length);
+            if (socket.write(Buffer.concat([length, chunk]))) return;
+            stream.pause();
+            socket.once("drain", () => stream.resume());
+          });
+          stream.on("end", () => socket.write(Buffer.alloc(CLAMAV_CHUNK_LENGTH_SIZE)));
+        });
+
+        socket.on("data", (data) => {
+          reply += data.toString();
+        });
+        socket.on("end", () => {
+          reply = reply.replace(/\0/g, "").trim();
+          if (reply.endsWith("FOUND")) return resolve(ERROR_CODES.MALWARE_DETECTED);
+          if (reply.endsWith("OK")) return resolve(null);
+          // "INSTREAM size limit exceeded" for instance: the file is unchecked, not clean
+          reject(new Error(`Unexpected clamd reply "${reply}"`));
+        });
+      }),
+  };
+}
+
+const scanners = [extensionScanner, archiveScanner];
+if (CLAMAV_HOST) scanners.push(clamavScanner({ host: CLAMAV_HOST, port: CLAMAV_PORT }));
+
+// Adds a scanner run on every upload from now on
+function registerScanner(scanner) {
+  scanners.push(scanner);
+}
+
+/**
+ * Runs every scanner on `stream`, each one reading its own copy of the content as it arrives.
+ * Resolves with null when all of them pass, or with `{ scanner, code }` for the first one that rejected the file.
+ * Rejects when a scanner failed to give an answer, or with the error of `stream`.
+ */
+async function scanFile(stream, file) {
+  const copies = scanners.map(() => new PassThrough());
+  // Scanners done reading do not listen to their copy anymore
+  for (const copy of copies) copy.on("error", () => {});
+  stream.on("error", (error) => copies.forEach((copy) => copy.destroy(error)));
+  for (const copy of copies) stream.pipe(copy);
+
+  const codes = await Promise.all(
+    scanners.map(async (scanner, i) => {
+      try {
+        return await scanner.scan({ ...file, stream: copies[i] });
+      } finally {
+        // Whatever a scanner left unread would hold back the others, and the upload itself
+        copies[i].resume();
+      }
+    }),
+  );
+
+  const rejected = codes.findIndex(Boolean);
+  return rejected === -1 ? null : { scanner: scanners[rejected].name, code: codes[rejected] };
+}
+
+module.exports = {
+  extensionScanner,
+  archiveScanner,
+  clamavScanner,
+  registerScanner,
+  scanFile,
+};
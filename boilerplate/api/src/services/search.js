@@ -0,0 +1,187 @@
+const mongoose = require("mongoose");
+const { Buffer } = require("buffer");
+
+const { escapeRegExp } = require("../utils");
+const { v } = require("./validation");
+
+// Filter operators each field type accepts, and how its values read once through JSON in a cursor
+const TYPES = {
+  string: { schema: () => v.string(), ops: ["eq", "in", "text"], isCursorValue: (value) => typeof value === "string" },
+  number: { schema: () => v.number(), ops: ["eq", "in", "range"], isCursorValue: (value) => Number.isFinite(value) },
+  date: {
+    schema: () => v.date(),
+    ops: ["eq", "in", "range"],
+    isCursorValue: (value) => typeof value === "string" && !Number.isNaN(Date.parse(value)),
+  },
+  boolean: { schema: () => v.boolean(), ops: ["eq"], isCursorValue: (value) => typeof value === "boolean" },
+  id: {
+    schema: () => v.objectId(),
+    ops: ["eq", "in"],
+    isCursorValue: (value) => mongoose.isObjectIdOrHexString(value),
+  },
+};
+
+// "-createdAt" sorts by createdAt descending, "name" by name ascending
+function parseSort(sort) {
+  return sort.startsWith("-") ? { field: sort.slice(1), order: -1 } : { field: sort, order: 1 };
+}
+
+// Cursors are opaque to clients: the sort they were built with, the last document's sort value and id, the next offset
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+// Null unless the cursor was built by encodeCursor: its value is queried as is, it must have the type of the sort field
+function decodeCursor(value, fields) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, "base64url").toString());
+    if (typeof cursor.s !== "string" || !mongoose.isObjectIdOrHexString(cursor.id)) return null;
+    if (!Number.isInteger(cursor.o) || cursor.o < 0) return null;
+
+    const type = TYPES[fields[parseSort(cursor.s).field]];
+    if (!type || (cursor.v !== null && !type.isCursorValue(cursor.v))) return null;
+    return cursor;
+  } catch (e) {
+    return null;
+  }
+}
+
+function filterSchema(type) {
+  const { schema, ops } = TYPES[type];
+  const shape = {};
+  if (ops.includes("eq")) shape.eq = schema();
+  if (ops.includes("in")) shape.in = v.array(schema().required()).max(100);
+  if (ops.includes("range")) {
+    shape.range = v.object({ gt: schema(), gte: schema(), lt: schema(), lte: schema() }, { unknown: "reject" });
+  }
+  if (ops.includes("text")) shape.text = v.string().trim();
+  return v.object(shape, { unknown: "reject" });
+}
+
+function filterQuery(field, filter) {
+  const conditions = [];
+  if (filter.eq !== undefined) conditions.push({ [field]: filter.eq });
+  if (filter.in !== undefined) conditions.push({ [field]: { $in: filter.in } });
+  if (filter.range) {
+    const range = {};
+    for (const op of ["gt", "gte", "lt", "lte"]) {
+      if (filter.range[op] !== undefined) range[`$${op}`] = filter.range[op];
+    }
+    conditions.push({ [field]: range });
+  }
+  if (filter.text) conditions.push({ [field]: { $regex: escapeRegExp(filter.text), $options: "i" } });
+  return conditions;
+}
+
+// Documents after `cursor` in the { field, _id } order. Missing values sort before any other value in mongo.
+function afterQuery({ field, order }, value, id) {
+  const op = order === 1 ? "$gt" : "$lt";
+  if (value === null) {
+    const conditions = [{ [field]: null, _id: { [op]: id } }];
+    if (order === 1) conditions.push({ [field]: { $ne: null } });
+    return { $or: conditions };
+  }
+  const conditions = [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }];
+  if (order === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+}
+
+/**
+ * Shared contract of the search endpoints. Clients POST:
+ * - `search`: text matched against `searchFields`
+ * - `filters`: per field `{ eq }`, `{ in: [] }`, `{ range: { gt, gte, lt, lte } }` or `{ text }`, see TYPES
+ * - `sort`: one of `sortFields`, prefixed with "-" for descending order
+ * - `limit`, and either `offset` or the `next_cursor` of a previous page as `cursor`
+ *
+ * Every search answers `{ ok, data, total, limit, offset, next_cursor }`. `next_cursor` is null on the last page.
+ *
+ * `fields` declares the filterable and sortable fields with their type, e.g. `{ name: "string", createdAt: "date" }`.
+ * Sort fields should be required ones, documents missing them are sorted first in ascending order.
+ */
+function createSearch({ fields = {}, searchFields = [], sortFields = [], defaultSort = "-createdAt", maxLimit = 100 }) {
+  for (const [field, type] of Object.entries(fields)) {
+    if (!TYPES[type]) throw new Error(`Unknown type "${type}" for search field "${field}"`);
+  }
+  for (const field of sortFields) {
+    if (!fields[field]) throw new Error(`Sort field "${field}" must be declared in fields`);
+  }
+  if (!sortFields.includes(parseSort(defaultSort).field)) {
+    throw new Error(`Default sort "${defaultSort}" must be one of the sort fields`);
+  }
+
+  const sorts = sortFields.flatMap((field) => [field, `-${field}`]);
+  const filters = {};
+  for (const [field, type] of Object.entries(fields)) filters[field] = filterSchema(type);
+
+  const body = v
+    .object({
+      search: v.string().trim(),
+      filters: v.object(filters, { unknown: "reject" }),
+      sort: v.string().enum(sorts).default(defaultSort),
+      limit: v.integer().min(1).max(maxLimit).default(Math.min(10, maxLimit)),
+      offset: v.integer().min(0).default(0),
+      cursor: v.string().test((value) => decodeCursor(value, fields) !== null, "is not a valid cursor"),
+    })
+    .test(
+      ({ cursor, sort }) => !cursor || decodeCursor(cursor, fields).s === sort,
+      "cursor was issued for another sort",
+    );
+
+  // Builds the mongo filter of a validated `body`, `base` restricts it further (ownership, soft delete...)
+  function buildQuery(params, base = {}) {
+    const conditions = Object.keys(base).length ? [base] : [];
+    if (params.search && searchFields.length) {
+      const search = escapeRegExp(params.search);
+      conditions.push({ $or: searchFields.map((field) => ({ [field]: { $regex: search, $options: "i" } })) });
+    }
+    for (const [field, filter] of Object.entries(params.filters || {})) conditions.push(...filterQuery(field, filter));
+    return conditions.length ? { $and: conditions } : {};
+  }
+
+  /**
+   * Runs a search on `Model` with a `body` validated by the schema above.
+   * `options.query` is applied on top of the client filters, `options.select` and `options.populate` are passed to
+   * mongoose.
+   */
+  async function run(Model, params, { query = {}, select, populate } = {}) {
+    const sort = parseSort(params.sort);
+    const cursor = params.cursor ? decodeCursor(params.cursor, fields) : null;
+    const offset = cursor ? cursor.o : params.offset;
+
+    const filter = buildQuery(params, query);
+    let page = filter;
+    if (cursor) {
+      let value = cursor.v;
+      if (value !== null && fields[sort.field] === "date") value = new Date(value);
+      if (value !== null && fields[sort.field] === "id") value = new mongoose.Types.ObjectId(value);
+      page = { $and: [filter, afterQuery(sort, value, new mongoose.Types.ObjectId(cursor.id))] };
+    }
+
+    let find = Model.find(page)
+      .sort({ [sort.field]: sort.order, _id: sort.order })
+      .limit(params.limit + 1);
+    // Cursor pages already start after the last document seen
+    if (!cursor) find = find.skip(offset);
+    if (select) find = find.select(select);
+    if (populate) find = find.populate(populate);
+
+    const [docs, total] = await Promise.all([find, Model.countDocuments(filter)]);
+
+    const data = docs.slice(0, params.limit);
+    let next_cursor = null;
+    if (docs.length > params.limit) {
+      const last = data[data.length - 1];
+      const value = last.get(sort.field) ?? null;
+      next_cursor = encodeCursor({ s: params.sort, v: value, id: last._id.toString(), o: offset + data.length });
+    }
+
+    return { data, total, limit: params.limit, offset, next_cursor };
+  }
+
+  return { body, buildQuery, run };
+}
+
+module.exports = {
+  createSearch,
+  parseSort,
+};
@@ -1,21 +1,81 @@
 const Sentry = require("@sentry/node");
-const { ENVIRONMENT } = require("../config");
+const mongoose = require("mongoose");
+
+const { ENVIRONMENT, SENTRY_DSN, SENTRY_SAMPLE_RATE, SENTRY_TRACES_SAMPLE_RATE, RELEASE } = require("../config");
+const { logger, getContext, redact } = require("./logger");
+
+// Headers are sent with events: they go through the same redaction as the logs. Query strings are cut from urls,
+// signed urls and tokens travel there.
+function redactEvent(event) {
+  if (event.request) {
+    event.request = redact(event.request);
+    if (event.request.url) event.request.url = event.request.url.replace(/[?#].*$/, "");
+  }
+  if (event.extra) event.extra = redact(event.extra);
+  return event;
+}
+
+/**
+ * First thing done with the app, see index.js. Every request gets its own scope, traced and holding breadcrumbs of
+ * the Mongo queries and outbound HTTP calls made meanwhile. Nothing is reported while SENTRY_DSN is empty.
+ */
+function setupSentry(app) {
+  if (!SENTRY_DSN) return;
 
-if (ENVIRONMENT === "production") {
   Sentry.init({
-    dsn: "",
-    environment: "server",
+    dsn: SENTRY_DSN,
+    environment: ENVIRONMENT,
+    release: RELEASE || undefined,
+    sampleRate: SENTRY_SAMPLE_RATE,
+    tracesSampleRate: SENTRY_TRACES_SAMPLE_RATE,
+    integrations: [
+      new Sentry.Integrations.Http({ tracing: true, breadcrumbs: true }),
+      new Sentry.Integrations.Express({ app }),
+      new Sentry.Integrations.Mongo({ useMongoose: true }),
+    ],
+    beforeSend: redactEvent,
+    beforeSendTransaction: redactEvent,
+  });
+
+  // Collection and method only, queries may hold emails or tokens
+  mongoose.set("debug", (collection, method) => {
+    Sentry.addBreadcrumb({ category: "mongo", message: `${collection}.${method}` });
   });
+
+  // Bodies are left out, they hold passwords, MFA codes and reset tokens. Cookies hold the session tokens.
+  app.use(Sentry.Handlers.requestHandler({ request: ["headers", "method", "url"] }));
+  app.use(Sentry.Handlers.tracingHandler());
 }
 
-function capture(err) {
-  console.log("capture", err);
-  if (Sentry && err) {
-    console.log("capture", err);
+// Attaches the authenticated user to the scope of the request, see services/passport
+function setUser(user) {
+  Sentry.setUser({ id: user._id.toString(), username: user.name, email: user.email, role: user.role?.name });
+}
+
+/**
+ * Logs and reports `err` with `extra` data and `tags` to search by: `capture(error, { tags: { service: "queue" } })`.
+ * Reports are tagged with the context of the logs (request_id, message_id...), to find the lines written meanwhile.
+ */
+function capture(err, { extra, tags } = {}) {
+  if (!err) return;
+  logger.error(err.message || "capture", { error: err, extra, tags });
+
+  Sentry.withScope((scope) => {
+    scope.setTags(getContext());
+    if (tags) scope.setTags(tags);
+    if (extra) scope.setExtras(extra);
     Sentry.captureException(err);
-  }
+  });
+}
+
+// Sends the pending reports, before the process exits
+function flush(timeout) {
+  return Sentry.close(timeout);
 }
 
 module.exports = {
+  setupSentry,
+  setUser,
   capture,
+  flush,
 };
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const SessionObject = require("../models/session");
+const UserObject = require("../models/user");
+
+const config = require("../config");
+const ERROR_CODES = require("../utils/errorCodes");
+
+// 15 minutes
+const ACCESS_TOKEN_MAX_AGE = 900000;
+const JWT_MAX_AGE = "15m";
+// 30 days, renewed on every rotation
+const REFRESH_TOKEN_MAX_AGE = 2592000000;
+// The refresh cookie is only needed by /user/refresh and /user/logout
+const REFRESH_COOKIE_PATH = "/user";
+const ROTATED_TOKENS_KEPT = 50;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Refresh tokens are "<session id>.<random>" so the session can be found without scanning hashes
+function generateRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString("hex")}`;
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign({ _id: user._id, sid: session._id }, config.SECRET, { expiresIn: JWT_MAX_AGE });
+}
+
+function getClientInfo(req) {
+  return { user_agent: (req.headers["user-agent"] || "").slice(0, 512), ip: req.ip || "" };
+}
+
+async function createSession(user, req) {
+  const session = new SessionObject({
+    user: user._id,
+    ...getClientInfo(req),
+    expires_at: Date.now() + REFRESH_TOKEN_MAX_AGE,
+  });
+  const refreshToken = generateRefreshToken(session._id);
+  session.refresh_token_hash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, accessToken: signAccessToken(user, session), refreshToken };
+}
+
+async function rotateSession(refreshToken, req) {
+  const [sessionId] = (refreshToken || "").split(".");
+  if (!mongoose.isValidObjectId(sessionId)) return { ok: false, code: ERROR_CODES.REFRESH_TOKEN_INVALID };
+
+  const session = await SessionObject.findById(sessionId);
+  if (!session || session.revoked_at || session.expires_at < Date.now()) {
+    return { ok: false, code: ERROR_CODES.REFRESH_TOKEN_INVALID };
+  }
+
+  const hash = hashToken(refreshToken);
+  if (session.rotated_token_hashes.includes(hash)) {
+    await revokeSession(session, "reuse_detected");
+    return { ok: false, code: ERROR_CODES.REFRESH_TOKEN_REUSED };
+  }
+  if (session.refresh_token_hash !== hash) return { ok: false, code: ERROR_CODES.REFRESH_TOKEN_INVALID };
+
+  const user = await UserObject.findById(session.user);
+  if (!user) return { ok: false, code: ERROR_CODES.REFRESH_TOKEN_INVALID };
+
+  const newRefreshToken = generateRefreshToken(session._id);
+  const rotated = await SessionObject.findOneAndUpdate(
+    { _id: session._id, refresh_token_hash: hash, revoked_at: null },
+    {
+      refresh_token_hash: hashToken(newRefreshToken),
+      expires_at: Date.now() + REFRESH_TOKEN_MAX_AGE,
+      last_seen_at: Date.now(),
+      ...getClientInfo(req),
+      $push: { rotated_token_hashes: { $each: [hash], $slice: -ROTATED_TOKENS_KEPT } },
+    },
+    { new: true },
+  );
+
+  // Someone exchanged the same token in between: this is a reuse too
+  if (!rotated) {
+    await revokeSession(session, "reuse_detected");
+    return { ok: false, code: ERROR_CODES.REFRESH_TOKEN_REUSED };
+  }
+
+  return {
+    ok: true,
+    user,
+    session: rotated,
+    accessToken: signAccessToken(user, rotated),
+    refreshToken: newRefreshToken,
+  };
+}
+
+async function revokeSession(session, reason) {
+  await SessionObject.updateOne(
+    { _id: session._id, revoked_at: null },
+    { revoked_at: Date.now(), revoked_reason: reason },
+  );
+}
+
+async function touchSession(session, req) {
+  await SessionObject.updateOne({ _id: session._id }, { last_seen_at: Date.now(), ...getClientInfo(req) });
+}
+
+// Sessions still able to refresh, most recently used first
+async function listActiveSessions(user) {
+  return SessionObject.find({ user: user._id, revoked_at: null, expires_at: { $gt: Date.now() } })
+    .select("user_agent ip last_seen_at createdAt")
+    .sort({ last_seen_at: -1 });
+}
+
+async function revokeSessionFromRefreshToken(refreshToken, reason) {
+  const [sessionId] = (refreshToken || "").split(".");
+  if (!mongoose.isValidObjectId(sessionId)) return;
+
+  const session = await SessionObject.findById(sessionId);
+  if (!session || session.refresh_token_hash !== hashToken(refreshToken)) return;
+
+  await revokeSession(session, reason);
+}
+
+/**
+ * Kills every session of the user but `except`, and every access token already issued through the user's
+ * `tokens_revoked_at`: the session kept needs a new access token, see signAccessToken.
+ */
+async function revokeAllSessions(user, reason, { except } = {}) {
+  await SessionObject.updateMany(
+    { user: user._id, revoked_at: null, ...(except && { _id: { $ne: except._id } }) },
+    { revoked_at: Date.now(), revoked_reason: reason },
+  );
+  // Rounded down as `iat` is in seconds: tokens signed right after are still accepted
+  user.set({ tokens_revoked_at: Math.floor(Date.now() / 1000) * 1000 });
+  await user.save();
+}
+
+function cookieOptions() {
+  if (config.ENVIRONMENT === "development")
+    return { httpOnly: true, secure: false, domain: "localhost", sameSite: "Lax" };
+  return { httpOnly: true, secure: true, sameSite: "none" };
+}
+
+// The refresh token cookie is left as is when `refreshToken` is not given
+function setAuthCookies(res, { accessToken, refreshToken }) {
+  res.cookie("jwt", accessToken, { ...cookieOptions(), maxAge: ACCESS_TOKEN_MAX_AGE });
+  if (!refreshToken) return;
+  res.cookie("refresh_token", refreshToken, {
+    ...cookieOptions(),
+    maxAge: REFRESH_TOKEN_MAX_AGE,
+    path: REFRESH_COOKIE_PATH,
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie("jwt", cookieOptions());
+  res.clearCookie("refresh_token", { ...cookieOptions(), path: REFRESH_COOKIE_PATH });
+}
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  touchSession,
+  listActiveSessions,
+  revokeSessionFromRefreshToken,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies,
+};
@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Buffer } = require("buffer");
+const { pipeline } = require("stream/promises");
+const AWS = require("aws-sdk");
+
+const config = require("../config");
+
+// Every driver implements:
+// - put(key, body, { contentType, public }): stores a Buffer or a stream, resolves with { key, url }, url is null
+//   for private files
+// - get(key): readable stream of the content
+// - head(key): { size, contentType, lastModified }, or null when the key does not exist
+// - delete(key)
+// - publish(key): makes a private file public, resolves with its url
+// - signedUrl(key, { expiresIn }): temporary url giving access to a private file, expiresIn in seconds
+// - ping(): throws when the storage cannot be reached, for /metrics
+
+const DEFAULT_SIGNED_URL_EXPIRES_IN = 3600;
+
+// Any S3 compatible service: AWS, Scaleway, Clever Cloud, MinIO...
+class S3Storage {
+  constructor() {
+    this.bucket = config.S3_BUCKET;
+    this.s3 = new AWS.S3({
+      endpoint: config.S3_ENDPOINT || undefined,
+      region: config.S3_REGION || undefined,
+      accessKeyId: config.S3_ACCESSKEYID,
+      secretAccessKey: config.S3_SECRETACCESSKEY,
+      // MinIO serves buckets under the path, not as subdomains
+      s3ForcePathStyle: config.S3_FORCE_PATH_STYLE,
+      signatureVersion: "v4",
+    });
+  }
+
+  async put(key, body, { contentType, public: isPublic = true } = {}) {
+    const upload = this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ACL: isPublic ? "public-read" : "private",
+      CacheControl: "max-age=31536000",
+    });
+    // An error on the incoming stream would otherwise leave the multipart upload waiting forever
+    if (typeof body.on === "function") body.on("error", () => upload.abort());
+
+    const data = await upload.promise();
+    return { key, url: isPublic ? data.Location : null };
+  }
+
+  async publish(key) {
+    await this.s3.putObjectAcl({ Bucket: this.bucket, Key: key, ACL: "public-read" }).promise();
+    return this.url(key);
+  }
+
+  // Same url as the Location given by upload()
+  url(key) {
+    const { protocol, host } = this.s3.endpoint;
+    const path = key.split("/").map(encodeURIComponent).join("/");
+    if (this.s3.config.s3ForcePathStyle) return `${protocol}//${host}/${this.bucket}/${path}`;
+    return `${protocol}//${this.bucket}.${host}/${path}`;
+  }
+
+  get(key) {
+    return this.s3.getObject({ Bucket: this.bucket, Key: key }).createReadStream();
+  }
+
+  async head(key) {
+    try {
+      const data = await this.s3.headObject({ Bucket: this.bucket, Key: key }).promise();
+      return { size: data.ContentLength, contentType: data.ContentType, lastModified: data.LastModified };
+    } catch (error) {
+      if (error.code === "NotFound") return null;
+      throw error;
+    }
+  }
+
+  async ping() {
+    await this.s3.headBucket({ Bucket: this.bucket }).promise();
+  }
+
+  async delete(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_EXPIRES_IN } = {}) {
+    return this.s3.getSignedUrlPromise("getObject", { Bucket: this.bucket, Key: key, Expires: expiresIn });
+  }
+}
+
+// Content type and visibility are kept next to each file
+const META_SUFFIX = ".meta.json";
+
+// Files on the API's own disk, served by GET /file/local/*. For development and tests.
+class LocalStorage {
+  constructor() {
+    this.root = path.resolve(config.STORAGE_LOCAL_PATH);
+    this.baseUrl = `${config.API_URL}/file/local`;
+  }
+
+  // False for keys pointing outside of the root, or at the metadata of a file
+  contains(key) {
+    const file = path.resolve(this.root, key);
+    return file.startsWith(this.root + path.sep) && !file.endsWith(META_SUFFIX);
+  }
+
+  resolve(key) {
+    if (!this.contains(key)) throw new Error(`Invalid storage key "${key}"`);
+    return path.resolve(this.root, key);
+  }
+
+  async put(key, body, { contentType, public: isPublic = true } = {}) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    try {
+      if (Buffer.isBuffer(body)) await fs.promises.writeFile(file, body);
+      else await pipeline(body, fs.createWriteStream(file));
+    } catch (error) {
+      await fs.promises.rm(file, { force: true });
+      throw error;
+    }
+    await fs.promises.writeFile(`${file}${META_SUFFIX}`, JSON.stringify({ contentType, public: isPublic }));
+
+    return { key, url: isPublic ? `${this.baseUrl}/${key}` : null };
+  }
+
+  get(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(`${this.resolve(key)}${META_SUFFIX}`, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async head(key) {
+    const meta = await this.readMeta(key);
+    if (!meta) return null;
+
+    const stats = await fs.promises.stat(this.resolve(key));
+    return { size: stats.size, contentType: meta.contentType, lastModified: stats.mtime };
+  }
+
+  async publish(key) {
+    const meta = await this.readMeta(key);
+    await fs.promises.writeFile(`${this.resolve(key)}${META_SUFFIX}`, JSON.stringify({ ...meta, public: true }));
+    return `${this.baseUrl}/${key}`;
+  }
+
+  async isPublic(key) {
+    const meta = await this.readMeta(key);
+    return Boolean(meta && meta.public);
+  }
+
+  async delete(key) {
+    const file = this.resolve(key);
+    await fs.promises.rm(file, { force: true });
+    await fs.promises.rm(`${file}${META_SUFFIX}`, { force: true });
+  }
+
+  async ping() {
+    await fs.promises.mkdir(this.root, { recursive: true });
+    await fs.promises.access(this.root, fs.constants.W_OK);
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac("sha256", config.SECRET).update(`${key}:${expires}`).digest("hex");
+  }
+
+  async signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_EXPIRES_IN } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.baseUrl}/${key}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  verifySignature(key, { expires, signature }) {
+    if (!expires || !signature || Number(expires) * 1000 < Date.now()) return false;
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+function createStorage() {
+  if (config.STORAGE_DRIVER === "s3") return new S3Storage();
+  return new LocalStorage();
+}
+
+module.exports = {
+  storage: createStorage(),
+  S3Storage,
+  LocalStorage,
+};
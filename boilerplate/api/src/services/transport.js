@@ -0,0 +1,97 @@
+const nodemailer = require("nodemailer");
+
+const CapturedMessageObject = require("../models/captured_message");
+
+const config = require("../config");
+const brevo = require("./brevo");
+
+// Every transport implements:
+// - sendEmail({ to, subject, html, text }): `to` is an array of { email, name }. Resolves with `{ id }`, the id the
+//   provider gives the message in its delivery webhooks (see services/delivery), null when there is none.
+// - sendSms({ recipient, content, tag })
+// Both throw when the message was not sent, with `retryable: false` when trying again is pointless (see services/queue).
+
+class TransportError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.retryable = retryable;
+  }
+}
+
+class BrevoTransport {
+  async sendEmail({ to, subject, html, text }) {
+    const result = await brevo.sendEmail(to, subject, html, { text });
+    return { id: result?.messageId || null };
+  }
+
+  sendSms({ recipient, content, tag }) {
+    return brevo.sendSMS(recipient, content, tag);
+  }
+}
+
+// Any SMTP server: Mailgun, SES, Postmark, a local Mailpit...
+class SmtpTransport {
+  constructor() {
+    this.transporter = nodemailer.createTransport({
+      host: config.SMTP_HOST,
+      port: config.SMTP_PORT,
+      secure: config.SMTP_SECURE,
+      auth: config.SMTP_USER ? { user: config.SMTP_USER, pass: config.SMTP_PASSWORD } : undefined,
+    });
+  }
+
+  async sendEmail({ to, subject, html, text }) {
+    try {
+      const info = await this.transporter.sendMail({
+        from: { name: config.MAIL_SENDER_NAME, address: config.MAIL_SENDER_EMAIL },
+        to: to.map(({ email, name }) => ({ name: name || "", address: email })),
+        subject,
+        html,
+        text,
+      });
+      return { id: info.messageId };
+    } catch (error) {
+      // 5xx replies are permanent failures in SMTP, 4xx ones and connection errors are worth another attempt
+      throw new TransportError(error.message, { retryable: !(error.responseCode >= 500) });
+    }
+  }
+
+  async sendSms() {
+    throw new TransportError("The smtp transport cannot send SMS", { retryable: false });
+  }
+}
+
+// Captured messages are kept for a week
+const CAPTURE_RETENTION = 7 * 24 * 3600000;
+
+// Sends nothing, stores the messages for the /dev/mailbox page. The default outside of production.
+class CaptureTransport {
+  async sendEmail({ to, subject, html, text }) {
+    const expires_at = Date.now() + CAPTURE_RETENTION;
+    const message = await CapturedMessageObject.create({ channel: "email", to, subject, html, text, expires_at });
+    return { id: message._id.toString() };
+  }
+
+  sendSms({ recipient, content, tag }) {
+    const expires_at = Date.now() + CAPTURE_RETENTION;
+    return CapturedMessageObject.create({ channel: "sms", recipient, content, tag, expires_at });
+  }
+}
+
+const TRANSPORTS = { brevo: BrevoTransport, smtp: SmtpTransport, capture: CaptureTransport };
+
+function createTransport(name) {
+  const Transport = TRANSPORTS[name];
+  if (!Transport) throw new Error(`Unknown transport "${name}", expected one of ${Object.keys(TRANSPORTS)}`);
+  return new Transport();
+}
+
+module.exports = {
+  mailTransport: createTransport(config.MAIL_TRANSPORT),
+  smsTransport: createTransport(config.SMS_TRANSPORT),
+  isCapturing: config.MAIL_TRANSPORT === "capture" || config.SMS_TRANSPORT === "capture",
+  TransportError,
+  BrevoTransport,
+  SmtpTransport,
+  CaptureTransport,
+};
@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const { Buffer } = require("buffer");
+const { PassThrough, Transform } = require("stream");
+const busboy = require("busboy");
+
+const FileObject = require("../models/file");
+
+const ERROR_CODES = require("../utils/errorCodes");
+const { AppError } = require("../utils/errors");
+const { readAll } = require("../utils");
+const { SNIFF_LENGTH, sniffMimeType } = require("../utils/mime");
+const { isProcessable, processImage } = require("./image");
+const { scanFile } = require("./scan");
+const { capture } = require("./sentry");
+const { storage } = require("./storage");
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+
+// Limits and visibility per upload folder. Types are detected from the file content by utils/mime, the client's
+// claim is ignored. Public files get a permanent url once scanned, private ones are only reached through signed urls.
+// With `processImages`, images are normalized and stored with their variants, see services/image.
+const UPLOAD_RULES = {
+  avatar: { maxSize: 5 * MB, types: IMAGE_TYPES, visibility: "public", processImages: true },
+  document: {
+    maxSize: 20 * MB,
+    types: [...IMAGE_TYPES, "application/pdf", "application/zip", "application/gzip"],
+    visibility: "private",
+  },
+};
+
+const MAX_FILES_PER_REQUEST = 10;
+
+// `reason` tells why a FILE_REJECTED file was rejected, with the code given by its scanner. Sent in `details`.
+class UploadError extends AppError {
+  constructor(code, status, reason) {
+    super(code, { status, details: reason ? { reason } : undefined });
+    this.reason = reason;
+  }
+}
+
+// Passes a file through untouched while checking its type and size, and hashing it.
+// Emits "detected" with the type once the first bytes are known.
+class FileInspector extends Transform {
+  constructor({ maxSize, types }) {
+    super();
+    this.maxSize = maxSize;
+    this.types = types;
+    this.head = [];
+    this.size = 0;
+    this.hash = crypto.createHash("sha256");
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.size += chunk.length;
+    if (this.size > this.maxSize) return callback(new UploadError(ERROR_CODES.FILE_TOO_LARGE, 413));
+    this.hash.update(chunk);
+
+    if (this.type) return callback(null, chunk);
+    this.head.push(chunk);
+    if (this.size < SNIFF_LENGTH) return callback();
+    this.sniff(callback);
+  }
+
+  // Files shorter than SNIFF_LENGTH are only sniffed once complete
+  _flush(callback) {
+    if (this.type) return this.finish(callback);
+    this.sniff((error, head) => {
+      if (error) return callback(error);
+      this.push(head);
+      this.finish(callback);
+    });
+  }
+
+  finish(callback) {
+    this.checksum = this.hash.digest("hex");
+    callback();
+  }
+
+  sniff(callback) {
+    const head = Buffer.concat(this.head);
+    const detected = sniffMimeType(head);
+    if (!detected || !this.types.includes(detected.type)) {
+      return callback(new UploadError(ERROR_CODES.FILE_TYPE_NOT_ALLOWED, 415));
+    }
+
+    this.type = detected.type;
+    this.extension = detected.extension;
+    this.head = null;
+    this.emit("detected", detected);
+    callback(null, head);
+  }
+}
+
+// Keeps the client's name readable in the keys, without path separators or odd characters. Extensions are added
+// by the caller, variants of an image share the same path.
+function storagePath(folder, filename) {
+  const base =
+    (filename || "file")
+      .replace(/\.[^.]*$/, "")
+      .replace(/[^\w-]+/g, "_")
+      .slice(0, 100) || "file";
+  return `file/${folder}/${crypto.randomBytes(16).toString("hex")}/${base}`;
+}
+
+// Every storage key used by a stored file
+function storageKeys(file) {
+  return [file.key, ...(file.variants || []).map(({ key }) => key)];
+}
+
+// Images have to be decoded as a whole, they are bounded by the maxSize of their folder
+async function storeImage(path, stream, { type, extension }) {
+  const buffer = await readAll(stream);
+
+  let processed;
+  try {
+    processed = await processImage(buffer, type);
+  } catch (e) {
+    throw new UploadError(ERROR_CODES.INVALID_FILE, 400);
+  }
+
+  const { original, variants } = processed;
+  const images = [
+    { ...original, key: `${path}.${extension}` },
+    ...variants.map((variant) => ({ ...variant, key: `${path}.${variant.name}.webp` })),
+  ];
+
+  const stored = [];
+  try {
+    for (const { buffer: content, ...image } of images) {
+      await storage.put(image.key, content, { contentType: image.type, public: false });
+      stored.push({ ...image, url: null, size: content.length });
+    }
+  } catch (error) {
+    await Promise.allSettled(stored.map(({ key }) => storage.delete(key)));
+    throw error;
+  }
+
+  const checksum = crypto.createHash("sha256").update(original.buffer).digest("hex");
+  const [file, ...storedVariants] = stored;
+  return { ...file, checksum, variants: storedVariants };
+}
+
+async function storeStream(path, stream, inspector, { type, extension }) {
+  const key = `${path}.${extension}`;
+  await storage.put(key, stream, { contentType: type, public: false });
+  return { key, url: null, size: inspector.size, type, checksum: inspector.checksum, variants: [] };
+}
+
+async function publish(file) {
+  const url = await storage.publish(file.key);
+  const variants = await Promise.all(
+    file.variants.map(async (variant) => ({ ...variant, url: await storage.publish(variant.key) })),
+  );
+  return { ...file, url, variants };
+}
+
+// Files that could not be scanned are refused as well, the scanner's failure is ours to look into
+function scanError(error) {
+  if (error instanceof UploadError) return error;
+  capture(error, { tags: { service: "scan" } });
+  return new UploadError(ERROR_CODES.SCAN_UNAVAILABLE, 503);
+}
+
+// Every file is stored privately while services/scan reads it. It stays in quarantine until all the scanners
+// pass: rejected files are deleted, the others are published if their folder is public.
+async function storeFile(inspector, detected, { folder, filename, rule }) {
+  const content = new PassThrough();
+  const scanned = new PassThrough();
+  inspector.on("error", (error) => {
+    content.destroy(error);
+    scanned.destroy(error);
+  });
+  // Reported by the consumers still reading, one that failed already does not listen anymore
+  content.on("error", () => {});
+  scanned.on("error", () => {});
+  inspector.pipe(content);
+  inspector.pipe(scanned);
+
+  // Both streams are fed at the pace of the slowest reader. The first consumer to fail destroys the inspector, and
+  // the other stream with it, one done before the end of the file drains the rest: else the other one would wait.
+  let failure = null;
+  const consume = (stream, promise, toError = (error) => error) =>
+    promise.then(
+      (value) => {
+        stream.resume();
+        return value;
+      },
+      (error) => {
+        failure = failure || toError(error);
+        inspector.destroy(failure);
+        throw failure;
+      },
+    );
+
+  const path = storagePath(folder, filename);
+  const [stored, scan] = await Promise.allSettled([
+    consume(
+      content,
+      rule.processImages && isProcessable(detected.type)
+        ? storeImage(path, content, detected)
+        : storeStream(path, content, inspector, detected),
+    ),
+    consume(scanned, scanFile(scanned, { name: filename, ...detected }), scanError),
+  ]);
+
+  let error = failure;
+  if (!error && scan.value) error = new UploadError(ERROR_CODES.FILE_REJECTED, 422, scan.value.code);
+
+  const file = stored.status === "fulfilled" ? { ...stored.value, name: filename } : null;
+  try {
+    if (error) throw error;
+    return rule.visibility === "public" ? await publish(file) : file;
+  } catch (e) {
+    if (file) await Promise.allSettled(storageKeys(file).map((key) => storage.delete(key)));
+    throw e;
+  }
+}
+
+/**
+ * Streams the files of a multipart request to storage as they arrive, only their first bytes are ever buffered
+ * (except images to process).
+ * Resolves with a file document owned by `owner` for every file, or rejects with an UploadError when any file breaks
+ * the rules of `folder` or is rejected by a scanner. Nothing is kept from a rejected request.
+ */
+function receiveFiles(req, { folder, owner }) {
+  const rule = UPLOAD_RULES[folder];
+
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: MAX_FILES_PER_REQUEST, fileSize: rule.maxSize + 1 },
+      });
+    } catch (e) {
+      return reject(new UploadError(ERROR_CODES.INVALID_BODY, 400));
+    }
+
+    const uploads = [];
+    const inspectors = [];
+    let tooManyFiles = false;
+    let settled = false;
+
+    // Once every file is stored or failed: keeps them all, or deletes the ones stored when anything went wrong
+    async function settle(failure) {
+      if (settled) return;
+      settled = true;
+      const results = await Promise.all(uploads);
+      const stored = results.filter(({ value }) => value).map(({ value }) => value);
+
+      try {
+        if (failure) throw failure;
+        const failed = results.find(({ error }) => error);
+        if (failed) throw failed.error;
+        if (tooManyFiles) throw new UploadError(ERROR_CODES.TOO_MANY_FILES, 400);
+        if (!stored.length) throw new UploadError(ERROR_CODES.INVALID_BODY, 400);
+
+        const files = await FileObject.create(
+          stored.map((file) => ({ ...file, owner, folder, visibility: rule.visibility })),
+        );
+        resolve(files);
+      } catch (error) {
+        await Promise.allSettled(stored.flatMap(storageKeys).map((key) => storage.delete(key)));
+        reject(error);
+      }
+    }
+
+    // Files cut short would never end: their inspectors are destroyed so their uploads fail and get cleaned up
+    function abort() {
+      const error = new UploadError(ERROR_CODES.INVALID_BODY, 400);
+      for (const inspector of inspectors) inspector.destroy(error);
+      req.unpipe(parser);
+      settle(error);
+    }
+
+    parser.on("file", (field, file, info) => {
+      const inspector = new FileInspector(rule);
+      inspectors.push(inspector);
+      // Drain the rest of a rejected file so the parser moves on to the next part
+      inspector.on("error", () => {
+        file.unpipe(inspector);
+        file.resume();
+      });
+      file.pipe(inspector);
+
+      const detected = new Promise((resolveType, rejectType) => {
+        inspector.once("detected", resolveType);
+        inspector.once("error", rejectType);
+      });
+      // Settled right away: a file may fail long before the parser closes
+      uploads.push(
+        detected
+          .then((detected) => storeFile(inspector, detected, { folder, filename: info.filename, rule }))
+          .then(
+            (value) => ({ value }),
+            (error) => ({ error }),
+          ),
+      );
+    });
+    parser.on("filesLimit", () => {
+      tooManyFiles = true;
+    });
+    parser.on("error", abort);
+    parser.on("close", () => settle());
+    // The client went away before the end of the body
+    req.on("close", () => {
+      if (!req.complete) abort();
+    });
+
+    req.pipe(parser);
+  });
+}
+
+module.exports = {
+  UPLOAD_RULES,
+  UploadError,
+  receiveFiles,
+  storageKeys,
+};
@@ -0,0 +1,212 @@
+const mongoose = require("mongoose");
+
+const ERROR_CODES = require("../utils/errorCodes");
+const { ValidationError: AppValidationError } = require("../utils/errors");
+
+// Lists every problem found, answered as INVALID_BODY with them in `details.errors`
+class ValidationError extends AppValidationError {
+  constructor(list) {
+    super(ERROR_CODES.INVALID_BODY, { details: { errors: list } });
+    this.errors = list;
+  }
+}
+
+/**
+ * A field description built with the `v` helpers below, e.g. `v.string().trim().required()`.
+ * `parse` returns the cast value or throws a ValidationError listing every problem found.
+ */
+class Schema {
+  constructor(type, cast) {
+    this.type = type;
+    this.cast = cast;
+    this.isRequired = false;
+    this.defaultValue = undefined;
+    this.checks = [];
+  }
+
+  required() {
+    this.isRequired = true;
+    return this;
+  }
+
+  default(value) {
+    this.defaultValue = value;
+    return this;
+  }
+
+  // `fn` receives the cast value and returns true when it is valid
+  test(fn, message) {
+    this.checks.push({ fn, message });
+    return this;
+  }
+
+  // Bounds the value of numbers, the length of strings and arrays
+  min(n) {
+    return this.test((value) => (typeof value === "number" ? value : value.length) >= n, `must be at least ${n}`);
+  }
+
+  max(n) {
+    return this.test((value) => (typeof value === "number" ? value : value.length) <= n, `must be at most ${n}`);
+  }
+
+  enum(values) {
+    return this.test((value) => values.includes(value), `must be one of ${values.join(", ")}`);
+  }
+
+  parse(value, path = "") {
+    if (value === undefined || value === null || value === "") {
+      if (this.defaultValue !== undefined) return this.defaultValue;
+      if (this.isRequired) throw new ValidationError([{ path, message: "is required" }]);
+      return value;
+    }
+
+    const result = this.cast(value, path);
+    if (result === undefined) throw new ValidationError([{ path, message: `must be a valid ${this.type}` }]);
+
+    const failed = this.checks.find(({ fn }) => !fn(result));
+    if (failed) throw new ValidationError([{ path, message: failed.message }]);
+    return result;
+  }
+}
+
+class StringSchema extends Schema {
+  constructor() {
+    super("string", (value) => {
+      if (typeof value !== "string") return undefined;
+      let result = this.shouldTrim ? value.trim() : value;
+      if (this.shouldLowercase) result = result.toLowerCase();
+      return result;
+    });
+  }
+
+  trim() {
+    this.shouldTrim = true;
+    return this;
+  }
+
+  lowercase() {
+    this.shouldLowercase = true;
+    return this;
+  }
+
+  email() {
+    return this.test((value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), "must be a valid email");
+  }
+}
+
+const join = (path, key) => (path ? `${path}.${key}` : `${key}`);
+
+function parseEntries(entries, path) {
+  const errors = [];
+  const values = entries.map(([key, schema, value]) => {
+    try {
+      return schema.parse(value, join(path, key));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      errors.push(...error.errors);
+    }
+  });
+  if (errors.length) throw new ValidationError(errors);
+  return values;
+}
+
+const v = {
+  string: () => new StringSchema(),
+
+  // Query strings and form bodies carry numbers as strings
+  number: () =>
+    new Schema("number", (value) => {
+      const n = typeof value === "string" ? Number(value) : value;
+      return typeof n === "number" && Number.isFinite(n) ? n : undefined;
+    }),
+
+  integer: () =>
+    new Schema("integer", (value) => {
+      const n = typeof value === "string" ? Number(value) : value;
+      return Number.isInteger(n) ? n : undefined;
+    }),
+
+  boolean: () =>
+    new Schema("boolean", (value) => {
+      if (typeof value === "boolean") return value;
+      if (value === "true") return true;
+      if (value === "false") return false;
+    }),
+
+  date: () =>
+    new Schema("date", (value) => {
+      const date = new Date(value);
+      return typeof value !== "boolean" && !isNaN(date.getTime()) ? date : undefined;
+    }),
+
+  // Cast to an ObjectId, so a malformed id is a 400 instead of a CastError
+  objectId: () =>
+    new Schema("id", (value) => (mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : undefined)),
+
+  any: () => new Schema("value", (value) => value),
+
+  array: (items) =>
+    new Schema("array", (value, path) => {
+      if (!Array.isArray(value)) return undefined;
+      return parseEntries(
+        value.map((item, i) => [i, items, item]),
+        path,
+      );
+    }),
+
+  /**
+   * `unknown` decides what happens to keys missing from `shape`: "strip" (default) drops them,
+   * "allow" keeps them as is, "reject" reports them as errors.
+   */
+  object: (shape, { unknown = "strip" } = {}) =>
+    new Schema("object", (value, path) => {
+      if (typeof value !== "object" || Array.isArray(value)) return undefined;
+
+      const keys = Object.keys(shape);
+      const extra = Object.keys(value).filter((key) => !keys.includes(key));
+      if (unknown === "reject" && extra.length) {
+        throw new ValidationError(extra.map((key) => ({ path: join(path, key), message: "is not allowed" })));
+      }
+
+      const values = parseEntries(
+        keys.map((key) => [key, shape[key], value[key]]),
+        path,
+      );
+      const result = unknown === "allow" ? { ...value } : {};
+      keys.forEach((key, i) => {
+        if (values[i] !== undefined) result[key] = values[i];
+      });
+      return result;
+    }),
+};
+
+/**
+ * Express middleware validating and casting `req.body`, `req.params` and `req.query` against object schemas.
+ * Every error is reported at once: INVALID_BODY with `details: { errors: [{ path, message }] }`.
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const source of ["params", "query", "body"]) {
+      if (!schemas[source]) continue;
+      try {
+        req[source] = schemas[source].parse(req[source] ?? {}, source);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) return next(error);
+        errors.push(...error.errors);
+      }
+    }
+    if (errors.length) return next(new ValidationError(errors));
+    return next();
+  };
+}
+
+// Shared by every route taking an `:id` param
+const idParams = v.object({ id: v.objectId().required() });
+
+module.exports = {
+  v,
+  validate,
+  idParams,
+  ValidationError,
+};
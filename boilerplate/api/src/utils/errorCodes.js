@@ -3,6 +3,8 @@ module.exports = {
   PASSWORDS_NOT_MATCH: "PASSWORDS_NOT_MATCH",
   SERVER_ERROR: "SERVER_ERROR",
   UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  FORBIDDEN_FIELD: "FORBIDDEN_FIELD",
   USER_NOT_EXISTS: "USER_NOT_EXISTS",
   USER_ALREADY_REGISTERED: "USER_ALREADY_REGISTERED",
   NOT_FOUND: "NOT_FOUND",
@@ -12,4 +14,38 @@ module.exports = {
   INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",
   INVALID_PRICE: "INVALID_PRICE",
   ALREADY_PAID: "ALREADY_PAID",
+  REFRESH_TOKEN_INVALID: "REFRESH_TOKEN_INVALID",
+  REFRESH_TOKEN_REUSED: "REFRESH_TOKEN_REUSED",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  TOO_MANY_REQUESTS: "TOO_MANY_REQUESTS",
+  ROLE_ALREADY_EXISTS: "ROLE_ALREADY_EXISTS",
+  ROLE_IS_SYSTEM: "ROLE_IS_SYSTEM",
+  ROLE_IN_USE: "ROLE_IN_USE",
+  FILE_TOO_LARGE: "FILE_TOO_LARGE",
+  FILE_TYPE_NOT_ALLOWED: "FILE_TYPE_NOT_ALLOWED",
+  INVALID_FILE: "INVALID_FILE",
+  TOO_MANY_FILES: "TOO_MANY_FILES",
+  FILE_REJECTED: "FILE_REJECTED",
+  SCAN_UNAVAILABLE: "SCAN_UNAVAILABLE",
+  // Reasons given with FILE_REJECTED, see services/scan
+  EXTENSION_MISMATCH: "EXTENSION_MISMATCH",
+  INVALID_ARCHIVE: "INVALID_ARCHIVE",
+  ARCHIVE_BOMB: "ARCHIVE_BOMB",
+  MALWARE_DETECTED: "MALWARE_DETECTED",
+  INVALID_WEBHOOK_CREDENTIALS: "INVALID_WEBHOOK_CREDENTIALS",
+  ALREADY_EXISTS: "ALREADY_EXISTS",
+  PASSWORD_NOT_VALIDATED: "PASSWORD_NOT_VALIDATED",
+  PASSWORD_INVALID: "PASSWORD_INVALID",
+  PASSWORD_TOKEN_EXPIRED_OR_INVALID: "PASSWORD_TOKEN_EXPIRED_OR_INVALID",
+  ACOUNT_NOT_ACTIVATED: "ACOUNT_NOT_ACTIVATED",
+  MFA_TOKEN_EXPIRED_OR_INVALID: "MFA_TOKEN_EXPIRED_OR_INVALID",
+  MFA_CODE_INVALID: "MFA_CODE_INVALID",
+  MFA_ALREADY_ENABLED: "MFA_ALREADY_ENABLED",
+  MFA_NOT_ENABLED: "MFA_NOT_ENABLED",
+  MFA_REQUIRED: "MFA_REQUIRED",
+  EMAIL_VERIFICATION_TOKEN_EXPIRED_OR_INVALID: "EMAIL_VERIFICATION_TOKEN_EXPIRED_OR_INVALID",
+  EMAIL_VERIFICATION_ALREADY_SENT: "EMAIL_VERIFICATION_ALREADY_SENT",
+  PHONE_INVALID: "PHONE_INVALID",
+  PHONE_VERIFICATION_ALREADY_SENT: "PHONE_VERIFICATION_ALREADY_SENT",
+  PHONE_VERIFICATION_CODE_EXPIRED_OR_INVALID: "PHONE_VERIFICATION_CODE_EXPIRED_OR_INVALID",
 };
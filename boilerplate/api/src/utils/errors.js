@@ -0,0 +1,181 @@
+const ERROR_CODES = require("./errorCodes");
+
+// Every code the API answers with: the status it comes with unless thrown with another one, and a message for
+// developers. Served at GET /errors so that the front-end can map codes to its own texts.
+const ERROR_REGISTRY = {
+  [ERROR_CODES.SERVER_ERROR]: { status: 500, message: "Unexpected error, it was reported" },
+  [ERROR_CODES.UNAUTHORIZED]: { status: 401, message: "Authentication required" },
+  [ERROR_CODES.FORBIDDEN]: { status: 403, message: "Your role does not allow this action" },
+  [ERROR_CODES.FORBIDDEN_FIELD]: { status: 403, message: "Some fields cannot be written by you, see details.fields" },
+  [ERROR_CODES.NOT_FOUND]: { status: 404, message: "Not found" },
+  [ERROR_CODES.INVALID_BODY]: { status: 400, message: "Invalid request, see details.errors" },
+  [ERROR_CODES.ALREADY_EXISTS]: { status: 409, message: "Already exists, see details.fields" },
+  [ERROR_CODES.TOO_MANY_REQUESTS]: { status: 429, message: "Too many requests, try again after Retry-After seconds" },
+  [ERROR_CODES.INVALID_WEBHOOK_CREDENTIALS]: { status: 401, message: "Missing or invalid webhook credentials" },
+
+  [ERROR_CODES.EMAIL_AND_PASSWORD_REQUIRED]: { status: 400, message: "Email and password are required" },
+  [ERROR_CODES.USER_NOT_EXISTS]: { status: 401, message: "No user with this email" },
+  [ERROR_CODES.USER_ALREADY_REGISTERED]: { status: 409, message: "A user already has this email" },
+  [ERROR_CODES.EMAIL_OR_PASSWORD_INVALID]: { status: 401, message: "Wrong email or password" },
+  [ERROR_CODES.ACOUNT_NOT_ACTIVATED]: { status: 403, message: "The email address must be verified first" },
+  [ERROR_CODES.ACCOUNT_LOCKED]: { status: 423, message: "Too many failed sign ins, try again after Retry-After" },
+  [ERROR_CODES.PASSWORD_NOT_VALIDATED]: { status: 400, message: "Passwords need at least 6 characters and a letter" },
+  [ERROR_CODES.PASSWORD_INVALID]: { status: 401, message: "Wrong password" },
+  [ERROR_CODES.PASSWORDS_NOT_MATCH]: { status: 400, message: "The passwords do not match" },
+  [ERROR_CODES.PASSWORD_TOKEN_EXPIRED_OR_INVALID]: { status: 400, message: "Expired or invalid reset link" },
+  [ERROR_CODES.REFRESH_TOKEN_INVALID]: { status: 401, message: "Expired or invalid session" },
+  [ERROR_CODES.REFRESH_TOKEN_REUSED]: { status: 401, message: "Refresh token reused, the session was revoked" },
+  [ERROR_CODES.EMAIL_VERIFICATION_TOKEN_EXPIRED_OR_INVALID]: { status: 400, message: "Expired or invalid link" },
+  [ERROR_CODES.EMAIL_VERIFICATION_ALREADY_SENT]: {
+    status: 429,
+    message: "A verification email was just sent, try again after Retry-After seconds",
+  },
+
+  [ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID]: { status: 401, message: "Expired or invalid sign in, start over" },
+  [ERROR_CODES.MFA_CODE_INVALID]: { status: 400, message: "Wrong authentication or recovery code" },
+  [ERROR_CODES.MFA_ALREADY_ENABLED]: { status: 400, message: "Two-factor authentication is already enabled" },
+  [ERROR_CODES.MFA_NOT_ENABLED]: { status: 400, message: "Two-factor authentication is not enabled" },
+  [ERROR_CODES.MFA_REQUIRED]: { status: 403, message: "Two-factor authentication is required for your role" },
+
+  [ERROR_CODES.PHONE_INVALID]: { status: 400, message: "Not a phone number able to receive SMS" },
+  [ERROR_CODES.PHONE_VERIFICATION_ALREADY_SENT]: {
+    status: 429,
+    message: "A code was just sent, try again after Retry-After seconds",
+  },
+  [ERROR_CODES.PHONE_VERIFICATION_CODE_EXPIRED_OR_INVALID]: { status: 400, message: "Expired or invalid code" },
+
+  [ERROR_CODES.ROLE_ALREADY_EXISTS]: { status: 409, message: "A role already has this name" },
+  [ERROR_CODES.ROLE_IS_SYSTEM]: { status: 403, message: "System roles cannot be renamed or deleted" },
+  [ERROR_CODES.ROLE_IN_USE]: { status: 409, message: "Users still have this role" },
+
+  [ERROR_CODES.FILE_TOO_LARGE]: { status: 413, message: "File too large for this folder" },
+  [ERROR_CODES.FILE_TYPE_NOT_ALLOWED]: { status: 415, message: "File type not allowed in this folder" },
+  [ERROR_CODES.INVALID_FILE]: { status: 400, message: "The file could not be read" },
+  [ERROR_CODES.TOO_MANY_FILES]: { status: 400, message: "Too many files in one upload" },
+  [ERROR_CODES.FILE_REJECTED]: { status: 422, message: "The file did not pass the scanners, see details.reason" },
+  [ERROR_CODES.SCAN_UNAVAILABLE]: { status: 503, message: "Files cannot be scanned right now, try again later" },
+  // Reasons of FILE_REJECTED
+  [ERROR_CODES.EXTENSION_MISMATCH]: { status: 422, message: "The file name does not match its content" },
+  [ERROR_CODES.INVALID_ARCHIVE]: { status: 422, message: "Corrupted archive" },
+  [ERROR_CODES.ARCHIVE_BOMB]: { status: 422, message: "The archive expands too much" },
+  [ERROR_CODES.MALWARE_DETECTED]: { status: 422, message: "Malware detected" },
+
+  [ERROR_CODES.CARD_NOT_VALIDATED]: { status: 402, message: "Card declined" },
+  [ERROR_CODES.INSUFFICIENT_FUNDS]: { status: 402, message: "Insufficient funds" },
+  [ERROR_CODES.INVALID_PRICE]: { status: 400, message: "Invalid price" },
+  [ERROR_CODES.ALREADY_PAID]: { status: 409, message: "Already paid" },
+};
+
+// Codes are added in errorCodes.js and here together
+for (const code of Object.values(ERROR_CODES)) {
+  if (!ERROR_REGISTRY[code]) throw new Error(`Error code ${code} is missing from the registry`);
+}
+
+/**
+ * Error answered to the client as `{ ok: false, code, message, details, request_id }`, see services/error_handler.
+ * `status` and `message` default to the registry's. `details` must be safe to send, `headers` are set on the response.
+ */
+class AppError extends Error {
+  constructor(code = ERROR_CODES.SERVER_ERROR, { status, message, details, headers } = {}) {
+    super(message || ERROR_REGISTRY[code]?.message || code);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status || ERROR_REGISTRY[code]?.status || 500;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(code = ERROR_CODES.INVALID_BODY, options = {}) {
+    super(code, { status: 400, ...options });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(code = ERROR_CODES.UNAUTHORIZED, options = {}) {
+    super(code, { status: 401, ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code = ERROR_CODES.FORBIDDEN, options = {}) {
+    super(code, { status: 403, ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(code = ERROR_CODES.NOT_FOUND, options = {}) {
+    super(code, { status: 404, ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(code = ERROR_CODES.ALREADY_EXISTS, options = {}) {
+    super(code, { status: 409, ...options });
+  }
+}
+
+// `retryAfter` in milliseconds, sent in seconds as the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(code = ERROR_CODES.TOO_MANY_REQUESTS, { retryAfter, ...options } = {}) {
+    const headers = retryAfter ? { "Retry-After": Math.max(1, Math.ceil(retryAfter / 1000)) } : undefined;
+    super(code, { status: 429, headers, ...options });
+  }
+}
+
+function isDuplicateKeyError(error) {
+  return error?.code === 11000;
+}
+
+// Fields of the unique index a duplicate key error was raised for
+function duplicateFields(error) {
+  return Object.keys(error.keyValue || error.keyPattern || {});
+}
+
+/**
+ * Mongoose error middleware turning duplicate key errors of a model into a ConflictError with `code`:
+ * `Schema.post("save", onDuplicateKey(ERROR_CODES.USER_ALREADY_REGISTERED))`.
+ */
+function onDuplicateKey(code) {
+  return (error, doc, next) => {
+    if (!isDuplicateKeyError(error)) return next(error);
+    return next(new ConflictError(code, { details: { fields: duplicateFields(error) } }));
+  };
+}
+
+// Any error thrown while handling a request, as the AppError sent to the client
+function toAppError(error) {
+  if (error instanceof AppError) return error;
+  if (isDuplicateKeyError(error)) return new ConflictError(undefined, { details: { fields: duplicateFields(error) } });
+  // Values the validation schemas let through but the model refuses, written from the body
+  if (error?.name === "ValidationError" && error.errors) {
+    const errors = Object.values(error.errors).map(({ path, message }) => ({ path: `body.${path}`, message }));
+    return new ValidationError(undefined, { details: { errors } });
+  }
+  if (error?.name === "CastError") {
+    return new ValidationError(undefined, { details: { errors: [{ path: error.path, message: "is not valid" }] } });
+  }
+  // passport.authenticate() with `failWithError`
+  if (error?.name === "AuthenticationError") return new UnauthorizedError();
+  // body-parser: malformed JSON, body over the limit...
+  if (error?.type && error.status >= 400 && error.status < 500) {
+    const details = { errors: [{ path: "", message: error.message }] };
+    return new AppError(ERROR_CODES.INVALID_BODY, { status: error.status, details });
+  }
+  return new AppError(ERROR_CODES.SERVER_ERROR);
+}
+
+module.exports = {
+  ERROR_REGISTRY,
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  isDuplicateKeyError,
+  onDuplicateKey,
+  toAppError,
+};
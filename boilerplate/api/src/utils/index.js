@@ -1,34 +1,37 @@
-const { S3_ACCESSKEYID, S3_ENDPOINT, S3_SECRETACCESSKEY } = require("../config");
+const { Buffer } = require("buffer");
 
-const AWS = require("aws-sdk");
+// Minimum 6 characters, at least one letter
+function validatePassword(password) {
+  return typeof password === "string" && /^(?=.*[a-zA-Z]).{6,}$/.test(password);
+}
 
-function uploadToS3FromBuffer(path, buffer, ContentType) {
-  return new Promise((resolve, reject) => {
-    let s3bucket = new AWS.S3({
-      endpoint: S3_ENDPOINT,
-      accessKeyId: S3_ACCESSKEYID,
-      secretAccessKey: S3_SECRETACCESSKEY,
-    });
+// Makes user input safe to embed in a $regex
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-    var params = {
-      ACL: "public-read",
-      Bucket: "bank",
-      Key: path,
-      Body: buffer,
-      ContentEncoding: "base64",
-      ContentType,
-      Metadata: { "Cache-Control": "max-age=31536000" },
-    };
-    s3bucket.upload(params, function (err, data) {
-      if (err) return reject(`error in callback:${err}`);
-      resolve(data.Location);
-    });
+// Buffers a whole stream, only for content bounded by an upload size limit
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
   });
 }
 
-const BREVO_TEMPLATES = {};
+// Rejects when `promise` does not settle within `ms`
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
 module.exports = {
-  uploadToS3FromBuffer,
-  BREVO_TEMPLATES,
+  validatePassword,
+  escapeRegExp,
+  readAll,
+  withTimeout,
 };
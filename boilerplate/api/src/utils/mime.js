@@ -0,0 +1,41 @@
+// File signatures ("magic bytes") of the types clients may upload. `null` matches any byte.
+// `extensions` lists the names a file of the type may have, the first one is used for storage.
+const SIGNATURES = [
+  { type: "image/jpeg", extensions: ["jpg", "jpeg", "jpe", "jfif"], bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/png", extensions: ["png"], bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "image/gif", extensions: ["gif"], bytes: [0x47, 0x49, 0x46, 0x38] },
+  // "RIFF", 4 bytes of size, "WEBP"
+  {
+    type: "image/webp",
+    extensions: ["webp"],
+    bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50],
+  },
+  { type: "application/pdf", extensions: ["pdf"], bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  // Local file header. Office Open XML and OpenDocument files are zip archives as well, detected as such.
+  {
+    type: "application/zip",
+    extensions: ["zip", "docx", "xlsx", "pptx", "odt", "ods", "odp"],
+    bytes: [0x50, 0x4b, 0x03, 0x04],
+  },
+  { type: "application/gzip", extensions: ["gz", "tgz"], bytes: [0x1f, 0x8b, 0x08] },
+];
+
+// Bytes needed to recognize any of the signatures above
+const SNIFF_LENGTH = Math.max(...SIGNATURES.map(({ bytes }) => bytes.length));
+
+// Detects the type of a file from its first bytes, whatever its name or the content type the client claims
+function sniffMimeType(buffer) {
+  const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => byte === null || buffer[i] === byte));
+  return signature ? { type: signature.type, extension: signature.extensions[0] } : null;
+}
+
+function extensionsOf(type) {
+  const signature = SIGNATURES.find((s) => s.type === type);
+  return signature ? signature.extensions : [];
+}
+
+module.exports = {
+  SNIFF_LENGTH,
+  sniffMimeType,
+  extensionsOf,
+};
@@ -0,0 +1,29 @@
+const { parsePhoneNumberFromString, isSupportedCountry } = require("libphonenumber-js/max");
+
+const { DEFAULT_COUNTRY } = require("../config");
+
+// Types of numbers able to receive SMS. Some countries (US, CA...) do not tell mobile and fixed lines apart.
+const SMS_TYPES = ["MOBILE", "FIXED_LINE_OR_MOBILE"];
+
+// ISO 3166-1 alpha-2 codes, "FR"
+function isCountry(code) {
+  return typeof code === "string" && isSupportedCountry(code.toUpperCase());
+}
+
+/**
+ * Reads a phone number as typed by a user. Numbers without their country calling code ("06 12 34 56 78") are read as
+ * numbers of `country`. Returns `{ number, country, sms }` with `number` in E.164 ("+33612345678") and `sms` telling
+ * whether it can receive text messages, or null for anything that is not a valid number.
+ */
+function normalizePhone(input, country = DEFAULT_COUNTRY) {
+  if (typeof input !== "string" || !input.trim()) return null;
+
+  const phone = parsePhoneNumberFromString(input.trim(), isCountry(country) ? country.toUpperCase() : undefined);
+  if (!phone || !phone.isValid()) return null;
+  return { number: phone.number, country: phone.country, sms: SMS_TYPES.includes(phone.getType()) };
+}
+
+module.exports = {
+  isCountry,
+  normalizePhone,
+};
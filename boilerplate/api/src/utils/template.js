@@ -0,0 +1,132 @@
+// A small mustache-like template language, for the emails in src/emails:
+// - {{name}}: value of `name` in the params, escaped by `escape` ({{user.name}} reaches nested values)
+// - {{{name}}}: the same, never escaped
+// - {{#if name}}...{{else}}...{{/if}}: empty arrays are false
+// - {{#each items}}...{{/each}}: fields of the current item are reachable directly, the item itself as {{this}}
+// - {{> partial key=name key="text"}}: renders another template with the params, plus the given keys
+// - {{! comment}}
+
+const TAG = /\{\{(\{)?([\s\S]+?)\}?\}\}/g;
+const PARTIAL_ARGUMENT = /(\w+)=(?:"([^"]*)"|([\w.]+))/g;
+// Partials including each other would never end
+const MAX_PARTIAL_DEPTH = 10;
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (character) => HTML_ENTITIES[character]);
+}
+
+function parsePartial(tag) {
+  const [name, ...rest] = tag.slice(1).trim().split(/\s+/);
+  const args = [...rest.join(" ").matchAll(PARTIAL_ARGUMENT)].map(([, key, text, path]) =>
+    text === undefined ? { key, path } : { key, text },
+  );
+  return { type: "partial", name, args };
+}
+
+// Builds the tree of a template, throws on unbalanced blocks
+function parse(source) {
+  const root = { body: [] };
+  const stack = [root];
+  const append = (node) => {
+    const block = stack[stack.length - 1];
+    (block.inElse ? block.otherwise : block.body).push(node);
+  };
+
+  let last = 0;
+  for (const match of source.matchAll(TAG)) {
+    if (match.index > last) append({ type: "text", value: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    const tag = match[2].trim();
+    const [keyword, path] = tag.split(/\s+/);
+    if (match[1]) {
+      append({ type: "variable", path: tag, raw: true });
+    } else if (tag.startsWith("!")) {
+      continue;
+    } else if (keyword === "#if" || keyword === "#each") {
+      const block = { type: keyword.slice(1), path, body: [], otherwise: [] };
+      append(block);
+      stack.push(block);
+    } else if (keyword === "else") {
+      const block = stack[stack.length - 1];
+      if (block.type !== "if") throw new Error("{{else}} outside of {{#if}}");
+      block.inElse = true;
+    } else if (keyword === "/if" || keyword === "/each") {
+      const block = stack.pop();
+      if (block.type !== keyword.slice(1)) throw new Error(`Unexpected {{${keyword}}}`);
+    } else if (tag.startsWith(">")) {
+      append(parsePartial(tag));
+    } else {
+      append({ type: "variable", path: tag, raw: false });
+    }
+  }
+  if (last < source.length) append({ type: "text", value: source.slice(last) });
+  if (stack.length > 1) throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}}`);
+
+  return root.body;
+}
+
+function lookup(params, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), params);
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, params, options, depth) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+      if (node.type === "variable") {
+        const value = lookup(params, node.path);
+        if (value == null) return "";
+        return node.raw ? String(value) : options.escape(value);
+      }
+      if (node.type === "if") {
+        const branch = isTruthy(lookup(params, node.path)) ? node.body : node.otherwise;
+        return renderNodes(branch, params, options, depth);
+      }
+      if (node.type === "each") {
+        const items = lookup(params, node.path) || [];
+        return items
+          .map((item) =>
+            renderNodes(
+              node.body,
+              { ...params, ...(typeof item === "object" ? item : {}), this: item },
+              options,
+              depth,
+            ),
+          )
+          .join("");
+      }
+
+      if (depth >= MAX_PARTIAL_DEPTH) throw new Error(`Partials nested deeper than ${MAX_PARTIAL_DEPTH}`);
+      const partialParams = { ...params };
+      for (const { key, path, text } of node.args) partialParams[key] = path ? lookup(params, path) : text;
+      return renderNodes(parse(options.partial(node.name)), partialParams, options, depth + 1);
+    })
+    .join("");
+}
+
+/**
+ * Renders `source` with `params`. `escape` is applied to every {{value}}, identity by default,
+ * `partial(name)` returns the source of a partial.
+ */
+function renderTemplate(source, params = {}, { escape = String, partial } = {}) {
+  const options = {
+    escape,
+    partial: (name) => {
+      if (!partial) throw new Error(`Unknown partial "${name}"`);
+      return partial(name);
+    },
+  };
+  return renderNodes(parse(source), params, options, 0);
+}
+
+module.exports = {
+  escapeHtml,
+  renderTemplate,
+};
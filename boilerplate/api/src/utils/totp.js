@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+const { Buffer } = require("buffer");
+
+// RFC 6238 defaults, the ones every authenticator app supports
+const DIGITS = 6;
+const PERIOD = 30;
+// Accept the previous and next code too, to absorb clock drift
+const WINDOW = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    bits += index.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP, the building block of TOTP
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, "0");
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD);
+}
+
+// Returns the time step the code matched, or null. Callers store it to refuse replays of the same code.
+function verify(secret, code, { now = Date.now(), afterStep = -1 } = {}) {
+  const token = (code || "").toString().replace(/\s/g, "");
+  if (!/^\d+$/.test(token) || token.length !== DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let i = -WINDOW; i <= WINDOW; i++) {
+    const candidate = step + i;
+    if (candidate <= afterStep) continue;
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return candidate;
+  }
+  return null;
+}
+
+function otpauthURI(secret, { issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: DIGITS, period: PERIOD });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  verify,
+  otpauthURI,
+};
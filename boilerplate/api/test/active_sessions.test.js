@@ -0,0 +1,55 @@
+const request = require("supertest");
+
+const { createApp } = require("../src/app");
+const { PASSWORD, setupDatabase, signup, cookiesOf, cookieHeader } = require("./helpers");
+
+const app = createApp();
+setupDatabase();
+
+const signin = async (email, userAgent) =>
+  cookiesOf(await request(app).post("/user/signin").set("User-Agent", userAgent).send({ email, password: PASSWORD }));
+
+const listSessions = (cookies) => request(app).get("/user/sessions").set("Cookie", cookieHeader(cookies));
+
+describe("GET /user/sessions", () => {
+  it("lists the active sessions of the user, flagging the current one", async () => {
+    const { cookies } = await signup(app, "ada@example.com");
+    await signin("ada@example.com", "laptop");
+    await signup(app, "grace@example.com");
+
+    const res = await listSessions(cookies);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.data.filter(({ current }) => current)).toHaveLength(1);
+    expect(res.body.data.map(({ user_agent }) => user_agent)).toContain("laptop");
+    for (const session of res.body.data) expect(session).not.toHaveProperty("refresh_token_hash");
+  });
+});
+
+describe("DELETE /user/sessions/:id", () => {
+  it("signs another device out", async () => {
+    const { cookies } = await signup(app, "alan@example.com");
+    const phone = await signin("alan@example.com", "phone");
+    const { _id } = (await listSessions(cookies)).body.data.find(({ user_agent }) => user_agent === "phone");
+
+    const res = await request(app).delete(`/user/sessions/${_id}`).set("Cookie", cookieHeader(cookies));
+    expect(res.status).toBe(200);
+
+    expect((await listSessions(phone)).status).toBe(401);
+    const refresh = await request(app)
+      .post("/user/refresh")
+      .set("Cookie", cookieHeader({ refresh_token: phone.refresh_token }));
+    expect(refresh.status).toBe(401);
+    expect((await listSessions(cookies)).body.data).toHaveLength(1);
+  });
+
+  it("cannot reach the sessions of other users", async () => {
+    const { cookies } = await signup(app, "barbara@example.com");
+    const other = await signin("ada@example.com", "tablet");
+    const { _id } = (await listSessions(other)).body.data.find(({ current }) => current);
+
+    const res = await request(app).delete(`/user/sessions/${_id}`).set("Cookie", cookieHeader(cookies));
+    expect(res.status).toBe(404);
+    expect((await listSessions(other)).status).toBe(200);
+  });
+});
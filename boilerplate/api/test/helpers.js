@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const request = require("supertest");
+const mongoose = require("mongoose");
+
+const mongo = require("../src/services/mongo");
+const { ensureDefaultRoles, ADMIN_ROLE } = require("../src/services/rbac");
+const RoleObject = require("../src/models/role");
+const UserObject = require("../src/models/user");
+
+const PASSWORD = "secret123";
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Every test file starts on an empty database holding the default roles. Indexes are built before any test runs:
+// duplicate keys are only refused once they exist.
+function setupDatabase() {
+  beforeAll(async () => {
+    await mongo.connect();
+    await mongoose.connection.dropDatabase();
+    await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).createIndexes()));
+    await ensureDefaultRoles();
+  });
+  afterAll(() => mongo.disconnect());
+}
+
+// Cookies set by a response, by name
+function cookiesOf(res) {
+  const cookies = {};
+  for (const header of res.headers["set-cookie"] || []) {
+    const [pair] = header.split(";");
+    const index = pair.indexOf("=");
+    cookies[pair.slice(0, index)] = decodeURIComponent(pair.slice(index + 1));
+  }
+  return cookies;
+}
+
+// Auth cookies are Secure and supertest talks plain http: they are sent by hand
+function cookieHeader(cookies) {
+  return Object.entries(cookies)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join("; ");
+}
+
+// Signs up a new user, resolves with the response and its auth cookies
+async function signup(app, email, password = PASSWORD) {
+  const res = await request(app)
+    .post("/user/signup")
+    .send({ name: email.split("@")[0], email, password });
+  return { res, user: res.body.user, cookies: cookiesOf(res) };
+}
+
+// Code an authenticator app shows for `secret` at `now`: RFC 6238 with 6 digits every 30 seconds, like utils/totp
+function totpCode(secret, now = Date.now()) {
+  let bits = "";
+  for (const char of secret) bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0");
+  const key = Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 30000)));
+  const hmac = crypto.createHmac("sha1", key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return ((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** 6).toString().padStart(6, "0");
+}
+
+// Signs up a user with MFA enabled, resolves with its TOTP secret and recovery codes
+async function mfaUser(app, email) {
+  const { cookies } = await signup(app, email);
+  const setup = await request(app).post("/user/mfa/setup").set("Cookie", cookieHeader(cookies));
+  const { secret } = setup.body.data;
+  const activate = await request(app)
+    .post("/user/mfa/activate")
+    .set("Cookie", cookieHeader(cookies))
+    .send({ code: totpCode(secret) });
+  return { secret, recoveryCodes: activate.body.data.recovery_codes };
+}
+
+async function makeAdmin(user) {
+  const role = await RoleObject.findOne({ name: ADMIN_ROLE });
+  await UserObject.updateOne({ _id: user._id }, { $set: { role: role._id } });
+}
+
+module.exports = {
+  PASSWORD,
+  setupDatabase,
+  cookiesOf,
+  cookieHeader,
+  signup,
+  totpCode,
+  mfaUser,
+  makeAdmin,
+};
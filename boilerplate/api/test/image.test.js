@@ -0,0 +1,48 @@
+const sharp = require("sharp");
+
+const { isProcessable, processImage } = require("../src/services/image");
+
+const createImage = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } } });
+
+describe("processImage", () => {
+  it("keeps the original format and size and renders WebP variants", async () => {
+    const buffer = await createImage(1000, 500).png().toBuffer();
+    const { original, variants } = await processImage(buffer, "image/png");
+
+    expect(original).toMatchObject({ type: "image/png", width: 1000, height: 500 });
+    expect(variants).toEqual([
+      expect.objectContaining({ name: "thumbnail", type: "image/webp", width: 128, height: 128 }),
+      expect.objectContaining({ name: "medium", type: "image/webp", width: 640, height: 320 }),
+    ]);
+    expect((await sharp(variants[1].buffer).metadata()).format).toBe("webp");
+  });
+
+  it("does not enlarge small images", async () => {
+    const buffer = await createImage(100, 50).jpeg().toBuffer();
+    const { variants } = await processImage(buffer, "image/jpeg");
+
+    expect(variants[1]).toMatchObject({ width: 100, height: 50 });
+  });
+
+  it("applies the EXIF orientation and drops the metadata", async () => {
+    // Orientation 6: the camera was turned a quarter, the image is shown rotated 90° clockwise
+    const buffer = await createImage(200, 100).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    const { original } = await processImage(buffer, "image/jpeg");
+
+    expect(original).toMatchObject({ width: 100, height: 200 });
+    expect((await sharp(original.buffer).metadata()).orientation).toBeUndefined();
+  });
+
+  it("rejects what is not an image", async () => {
+    await expect(processImage(Buffer.from("not an image"), "image/png")).rejects.toThrow();
+  });
+});
+
+describe("isProcessable", () => {
+  it("leaves GIFs untouched", () => {
+    expect(isProcessable("image/jpeg")).toBe(true);
+    expect(isProcessable("image/gif")).toBe(false);
+    expect(isProcessable("application/pdf")).toBe(false);
+  });
+});
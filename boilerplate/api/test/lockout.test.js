@@ -0,0 +1,60 @@
+const request = require("supertest");
+
+const { createApp } = require("../src/app");
+const { PASSWORD, setupDatabase, signup, totpCode, mfaUser } = require("./helpers");
+
+const app = createApp();
+setupDatabase();
+
+// Every sign in of this file counts toward the 30 per IP the signin limiter allows
+const signin = (email, password) => request(app).post("/user/signin").send({ email, password });
+
+describe("POST /user/signin limits", () => {
+  it("refuses an email once it reached its limit, invalid bodies included", async () => {
+    for (let i = 0; i < 5; i++) expect((await signin("nobody@example.com", "wrong")).status).toBe(401);
+    for (let i = 0; i < 5; i++) expect((await signin("nobody@example.com")).status).toBe(400);
+
+    const res = await signin("nobody@example.com", "wrong");
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("TOO_MANY_REQUESTS");
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+  });
+});
+
+describe("account lockout", () => {
+  it("locks the account after 5 wrong passwords, even for the right one", async () => {
+    await signup(app, "grace@example.com");
+    const wrong = await signin("grace@example.com", "wrong");
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.code).toBe("EMAIL_OR_PASSWORD_INVALID");
+    for (let i = 0; i < 4; i++) await signin("grace@example.com", "wrong");
+
+    const res = await signin("grace@example.com", PASSWORD);
+    expect(res.status).toBe(423);
+    expect(res.body.code).toBe("ACCOUNT_LOCKED");
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+  });
+
+  it("counts concurrent wrong passwords", async () => {
+    await signup(app, "alan@example.com");
+    await Promise.all(Array.from({ length: 5 }, () => signin("alan@example.com", "wrong")));
+
+    const res = await signin("alan@example.com", PASSWORD);
+    expect(res.status).toBe(423);
+  });
+
+  it("counts wrong MFA codes too", async () => {
+    const { secret } = await mfaUser(app, "barbara@example.com");
+    const { mfa_token } = (await signin("barbara@example.com", PASSWORD)).body;
+    for (let i = 0; i < 5; i++) {
+      const wrong = await request(app).post("/user/signin/mfa").send({ mfa_token, code: "000000" });
+      expect(wrong.status).toBe(401);
+    }
+
+    // The code of the next time step: the current one was used to activate MFA
+    const res = await request(app)
+      .post("/user/signin/mfa")
+      .send({ mfa_token, code: totpCode(secret, Date.now() + 30000) });
+    expect(res.status).toBe(423);
+  });
+});
@@ -0,0 +1,97 @@
+const request = require("supertest");
+
+const { createApp } = require("../src/app");
+const { PASSWORD, setupDatabase, signup, cookieHeader, totpCode, mfaUser } = require("./helpers");
+
+const app = createApp();
+setupDatabase();
+
+// Codes are accepted once: the code of the next time step is still valid after the one used to activate
+const nextCode = (secret) => totpCode(secret, Date.now() + 30000);
+
+async function signin(email) {
+  const res = await request(app).post("/user/signin").send({ email, password: PASSWORD });
+  return res.body.mfa_token;
+}
+
+describe("POST /user/mfa/setup and /user/mfa/activate", () => {
+  it("enables MFA once a code of the new secret is confirmed", async () => {
+    const { cookies } = await signup(app, "linus@example.com");
+    const setup = await request(app).post("/user/mfa/setup").set("Cookie", cookieHeader(cookies));
+    expect(setup.status).toBe(200);
+    expect(setup.body.data.otpauth_uri).toMatch(/^otpauth:\/\/totp\//);
+
+    const wrong = await request(app)
+      .post("/user/mfa/activate")
+      .set("Cookie", cookieHeader(cookies))
+      .send({ code: "000000" });
+    expect(wrong.status).toBe(400);
+
+    const res = await request(app)
+      .post("/user/mfa/activate")
+      .set("Cookie", cookieHeader(cookies))
+      .send({ code: totpCode(setup.body.data.secret) });
+    expect(res.status).toBe(200);
+    expect(res.body.data.recovery_codes).toHaveLength(10);
+  });
+});
+
+describe("POST /user/signin/mfa", () => {
+  it("asks for a code after the password, then signs in without answering the secrets", async () => {
+    const { secret } = await mfaUser(app, "ada@example.com");
+
+    const res = await request(app).post("/user/signin").send({ email: "ada@example.com", password: PASSWORD });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ mfa_required: true, mfa_token: expect.any(String) });
+    expect(res.body.token).toBeUndefined();
+
+    const mfa = await request(app)
+      .post("/user/signin/mfa")
+      .send({ mfa_token: res.body.mfa_token, code: nextCode(secret) });
+    expect(mfa.status).toBe(200);
+    expect(mfa.body.token).toEqual(expect.any(String));
+    for (const field of ["mfa_secret", "mfa_pending_secret", "mfa_recovery_codes", "mfa_last_step", "password"]) {
+      expect(mfa.body.user).not.toHaveProperty(field);
+    }
+  });
+
+  it("refuses a wrong code", async () => {
+    await mfaUser(app, "grace@example.com");
+
+    const res = await request(app)
+      .post("/user/signin/mfa")
+      .send({ mfa_token: await signin("grace@example.com"), code: "000000" });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("MFA_CODE_INVALID");
+  });
+
+  it("refuses a code already used", async () => {
+    const { secret } = await mfaUser(app, "edsger@example.com");
+    const code = nextCode(secret);
+
+    const first = await request(app)
+      .post("/user/signin/mfa")
+      .send({ mfa_token: await signin("edsger@example.com"), code });
+    expect(first.status).toBe(200);
+
+    const replay = await request(app)
+      .post("/user/signin/mfa")
+      .send({ mfa_token: await signin("edsger@example.com"), code });
+    expect(replay.status).toBe(401);
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { recoveryCodes } = await mfaUser(app, "alan@example.com");
+    const mfaToken = await signin("alan@example.com");
+
+    const first = await request(app)
+      .post("/user/signin/mfa")
+      .send({ mfa_token: mfaToken, recovery_code: recoveryCodes[0] });
+    expect(first.status).toBe(200);
+
+    const again = await request(app)
+      .post("/user/signin/mfa")
+      .send({ mfa_token: mfaToken, recovery_code: recoveryCodes[0] });
+    expect(again.status).toBe(401);
+  });
+});
@@ -0,0 +1,29 @@
+const { isCountry, normalizePhone } = require("../src/utils/phone");
+
+describe("normalizePhone", () => {
+  it("reads national numbers as numbers of the given country", () => {
+    expect(normalizePhone("06 12 34 56 78", "FR")).toEqual({ number: "+33612345678", country: "FR", sms: true });
+    expect(normalizePhone(" +44 7400 123456 ", "FR")).toEqual({ number: "+447400123456", country: "GB", sms: true });
+  });
+
+  it("tells numbers unable to receive SMS", () => {
+    expect(normalizePhone("01 42 68 53 00", "FR")).toMatchObject({ number: "+33142685300", sms: false });
+  });
+
+  it("returns null for anything that is not a valid number", () => {
+    expect(normalizePhone("06 12", "FR")).toBeNull();
+    expect(normalizePhone("not a phone", "FR")).toBeNull();
+    expect(normalizePhone("0612345678", "XX")).toBeNull();
+    expect(normalizePhone("")).toBeNull();
+    expect(normalizePhone(612345678)).toBeNull();
+  });
+});
+
+describe("isCountry", () => {
+  it("accepts ISO 3166-1 alpha-2 codes in any case", () => {
+    expect(isCountry("FR")).toBe(true);
+    expect(isCountry("fr")).toBe(true);
+    expect(isCountry("XX")).toBe(false);
+    expect(isCountry(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+const { rateLimit } = require("../src/services/rate_limit");
+
+const WINDOW = 60000;
+const MAX = 3;
+
+// Slot boundaries fall on multiples of the window
+let now = 1000 * WINDOW;
+beforeEach(() => jest.spyOn(Date, "now").mockImplementation(() => now));
+afterEach(() => jest.restoreAllMocks());
+
+// Resolves with the error the limiter passes on, undefined when the request may go on
+const hit = (limiter, ip = "203.0.113.1") => new Promise((resolve) => limiter({ ip }, {}, resolve));
+
+const createLimiter = () => rateLimit({ name: `test_${now}`, windowMs: WINDOW, max: MAX, key: (req) => req.ip });
+
+describe("rateLimit", () => {
+  it("rejects the hits over the limit with a Retry-After", async () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < MAX; i++) expect(await hit(limiter)).toBeUndefined();
+
+    const error = await hit(limiter);
+    expect(error.status).toBe(429);
+    expect(error.code).toBe("TOO_MANY_REQUESTS");
+    expect(error.headers["Retry-After"]).toBeGreaterThan(0);
+  });
+
+  it("does not let a client double its limit across a slot boundary", async () => {
+    now += WINDOW - 1000;
+    const limiter = createLimiter();
+    for (let i = 0; i < MAX; i++) expect(await hit(limiter)).toBeUndefined();
+
+    now += 2000;
+    expect(await hit(limiter)).toBeDefined();
+  });
+
+  it("allows hits again as the window slides past the previous ones", async () => {
+    now += WINDOW;
+    const limiter = createLimiter();
+    for (let i = 0; i < MAX; i++) await hit(limiter);
+    expect(await hit(limiter)).toBeDefined();
+
+    // Half of the previous slot still overlaps the window: 4 hits weigh 2
+    now += WINDOW + WINDOW / 2;
+    expect(await hit(limiter)).toBeUndefined();
+    expect(await hit(limiter)).toBeDefined();
+
+    now += WINDOW * 2;
+    expect(await hit(limiter)).toBeUndefined();
+  });
+
+  it("counts each key on its own and skips requests without key", async () => {
+    now += WINDOW;
+    const limiter = createLimiter();
+    for (let i = 0; i < MAX; i++) await hit(limiter, "203.0.113.1");
+
+    expect(await hit(limiter, "203.0.113.2")).toBeUndefined();
+    for (let i = 0; i < MAX * 2; i++) expect(await hit(limiter, "")).toBeUndefined();
+  });
+
+  it("forgets a key once reset", async () => {
+    now += WINDOW;
+    const limiter = createLimiter();
+    for (let i = 0; i < MAX + 1; i++) await hit(limiter);
+
+    await limiter.reset("203.0.113.1");
+    expect(await hit(limiter)).toBeUndefined();
+  });
+});
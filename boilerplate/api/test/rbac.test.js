@@ -0,0 +1,43 @@
+const request = require("supertest");
+
+const { createApp } = require("../src/app");
+const RoleObject = require("../src/models/role");
+const { ensureDefaultRoles, DEFAULT_ROLE } = require("../src/services/rbac");
+const { setupDatabase, signup, cookieHeader } = require("./helpers");
+
+const app = createApp();
+setupDatabase();
+
+const defaultRole = () => RoleObject.findOne({ name: DEFAULT_ROLE });
+
+describe("default role", () => {
+  it("does not let users read other users", async () => {
+    const { cookies } = await signup(app, "ada@example.com");
+    const { user } = await signup(app, "charles@example.com");
+
+    const search = await request(app).post("/user/search").set("Cookie", cookieHeader(cookies)).send({});
+    expect(search.status).toBe(403);
+    const res = await request(app).get(`/user/${user._id}`).set("Cookie", cookieHeader(cookies));
+    expect(res.status).toBe(403);
+  });
+
+  it("keeps user:read once an admin granted it back", async () => {
+    await RoleObject.updateOne({ name: DEFAULT_ROLE }, { $addToSet: { permissions: "user:read" } });
+    await ensureDefaultRoles();
+
+    expect((await defaultRole()).permissions).toContain("user:read");
+  });
+
+  it("removes user:read from roles created before defaults were versioned", async () => {
+    await RoleObject.collection.updateOne(
+      { name: DEFAULT_ROLE },
+      { $addToSet: { permissions: "user:read" }, $unset: { defaults_version: "" } },
+    );
+    await ensureDefaultRoles();
+
+    const role = await defaultRole();
+    expect(role.permissions).not.toContain("user:read");
+    expect(role.permissions).toContain("dummy:read");
+    expect(role.defaults_version).toBe(2);
+  });
+});
@@ -0,0 +1,59 @@
+const request = require("supertest");
+
+const { createApp } = require("../src/app");
+const { setupDatabase, signup, cookieHeader, makeAdmin } = require("./helpers");
+
+const app = createApp();
+setupDatabase();
+
+const EMAILS = ["eve@example.com", "bob@example.com", "dan@example.com", "carol@example.com", "frank@example.com"];
+
+let cookies;
+beforeAll(async () => {
+  const admin = await signup(app, "admin@example.com");
+  await makeAdmin(admin.user);
+  cookies = admin.cookies;
+  for (const email of EMAILS) await signup(app, email);
+});
+
+const search = (body) => request(app).post("/user/search").set("Cookie", cookieHeader(cookies)).send(body);
+
+// What a cursor holds, see services/search
+const forgeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+describe("POST /user/search cursors", () => {
+  it("pages through every user in order", async () => {
+    const emails = [];
+    let cursor;
+    do {
+      const res = await search({ sort: "email", limit: 4, cursor });
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(EMAILS.length + 1);
+      emails.push(...res.body.data.map((user) => user.email));
+      cursor = res.body.next_cursor;
+    } while (cursor);
+
+    expect(emails).toEqual(["admin@example.com", ...EMAILS].sort());
+  });
+
+  it("refuses a cursor issued for another sort", async () => {
+    const first = await search({ sort: "email", limit: 2 });
+    const res = await search({ sort: "-createdAt", limit: 2, cursor: first.body.next_cursor });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_BODY");
+  });
+
+  it("refuses cursors holding values of the wrong type", async () => {
+    const id = "0123456789abcdef01234567";
+    const cursors = [
+      { s: "email", v: { $gt: "" }, id, o: 2 },
+      { s: "createdAt", v: "not a date", id, o: 2 },
+      { s: "email", v: "bob@example.com", id: { $ne: null }, o: 2 },
+      { s: "email", v: "bob@example.com", id, o: -1 },
+    ];
+    for (const cursor of cursors) {
+      const res = await search({ sort: cursor.s, cursor: forgeCursor(cursor) });
+      expect(res.status).toBe(400);
+    }
+  });
+});
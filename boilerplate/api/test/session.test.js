@@ -0,0 +1,85 @@
+const request = require("supertest");
+
+const { createApp } = require("../src/app");
+const UserObject = require("../src/models/user");
+const { PASSWORD, setupDatabase, signup, cookiesOf, cookieHeader } = require("./helpers");
+
+const app = createApp();
+setupDatabase();
+
+const refresh = (refreshToken) =>
+  request(app)
+    .post("/user/refresh")
+    .set("Cookie", cookieHeader({ refresh_token: refreshToken }));
+
+const signin = async (email, password = PASSWORD) =>
+  cookiesOf(await request(app).post("/user/signin").send({ email, password }));
+
+// Any route behind authentication
+const me = (cookies) => request(app).get("/user/signin_token").set("Cookie", cookieHeader(cookies));
+
+describe("POST /user/refresh", () => {
+  it("rotates the refresh token", async () => {
+    const { cookies } = await signup(app, "ada@example.com");
+
+    const res = await refresh(cookies.refresh_token);
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(cookiesOf(res).refresh_token).toEqual(expect.any(String));
+    expect(cookiesOf(res).refresh_token).not.toBe(cookies.refresh_token);
+  });
+
+  it("revokes the session when a rotated token is used again", async () => {
+    const { cookies } = await signup(app, "grace@example.com");
+    const rotated = cookiesOf(await refresh(cookies.refresh_token)).refresh_token;
+
+    const reused = await refresh(cookies.refresh_token);
+    expect(reused.status).toBe(401);
+    expect(reused.body.code).toBe("REFRESH_TOKEN_REUSED");
+
+    const latest = await refresh(rotated);
+    expect(latest.status).toBe(401);
+    expect(latest.body.code).toBe("REFRESH_TOKEN_INVALID");
+  });
+
+  it("refuses a request without refresh token", async () => {
+    const res = await request(app).post("/user/refresh");
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("REFRESH_TOKEN_INVALID");
+  });
+});
+
+describe("password changes", () => {
+  it("sign out the other sessions and keep the current one", async () => {
+    const { cookies } = await signup(app, "alan@example.com");
+    const other = await signin("alan@example.com");
+
+    const res = await request(app)
+      .post("/user/reset_password")
+      .set("Cookie", cookieHeader(cookies))
+      .send({ password: PASSWORD, newPassword: "changed123", verifyPassword: "changed123" });
+    expect(res.status).toBe(200);
+
+    expect((await me({ ...cookies, ...cookiesOf(res) })).status).toBe(200);
+    expect((await refresh(cookies.refresh_token)).status).toBe(200);
+    expect((await me(other)).status).toBe(401);
+    expect((await refresh(other.refresh_token)).status).toBe(401);
+  });
+
+  it("sign out every session when reset from the emailed link", async () => {
+    const { cookies } = await signup(app, "barbara@example.com");
+    await request(app).post("/user/forgot_password").send({ email: "barbara@example.com" });
+    const { forgot_password_reset_token } = await UserObject.findOne({ email: "barbara@example.com" }).select(
+      "+forgot_password_reset_token",
+    );
+
+    const res = await request(app)
+      .post("/user/forgot_password_reset")
+      .send({ token: forgot_password_reset_token, password: "changed123" });
+    expect(res.status).toBe(200);
+
+    expect((await me(cookies)).status).toBe(401);
+    expect((await refresh(cookies.refresh_token)).status).toBe(401);
+    expect(Object.keys(await signin("barbara@example.com", "changed123"))).toContain("jwt");
+  });
+});
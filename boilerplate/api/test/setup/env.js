@@ -0,0 +1,11 @@
+// Runs before each test file requires anything: src/config.js reads the environment once, when first required
+process.env.ENVIRONMENT = "test";
+process.env.MONGODB_ENDPOINT = `${process.env.MONGO_MEMORY_URI}api_test_${process.env.JEST_WORKER_ID}`;
+process.env.SECRET = "test-secret";
+process.env.LOG_LEVEL = "error";
+process.env.SENTRY_DSN = "";
+process.env.MAIL_TRANSPORT = "capture";
+process.env.SMS_TRANSPORT = "capture";
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.EMAIL_VERIFICATION_REQUIRED = "false";
+process.env.MFA_REQUIRED_FOR_ADMINS = "false";
@@ -0,0 +1,8 @@
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+// One throwaway mongod for the whole run, each jest worker gets its own database on it, see env.js
+module.exports = async function () {
+  const mongod = await MongoMemoryServer.create();
+  globalThis.__MONGOD__ = mongod;
+  process.env.MONGO_MEMORY_URI = mongod.getUri();
+};
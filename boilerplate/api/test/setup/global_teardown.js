@@ -0,0 +1,3 @@
+module.exports = async function () {
+  await globalThis.__MONGOD__.stop();
+};
@@ -0,0 +1,71 @@
+const request = require("supertest");
+
+const { createApp } = require("../src/app");
+const MessageObject = require("../src/models/message");
+const UserObject = require("../src/models/user");
+const { setupDatabase, signup } = require("./helpers");
+
+const app = createApp();
+setupDatabase();
+
+const verificationToken = async (email) =>
+  (await UserObject.findOne({ email }).select("+email_verification_token")).email_verification_token;
+
+describe("POST /user/signup", () => {
+  it("creates the user, signs it in and never answers its secrets", async () => {
+    const { res, cookies } = await signup(app, "ada@example.com");
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe("ada@example.com");
+    expect(res.body.user.verified_at).toBeUndefined();
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(cookies).toEqual({ jwt: expect.any(String), refresh_token: expect.any(String) });
+    for (const field of ["password", "email_verification_token", "failed_login_attempts", "__v"]) {
+      expect(res.body.user).not.toHaveProperty(field);
+    }
+  });
+
+  it("queues the verification email under a key that does not hold the token", async () => {
+    const { user } = await signup(app, "grace@example.com");
+    const token = await verificationToken("grace@example.com");
+
+    const message = await MessageObject.findOne({ idempotency_key: new RegExp(`^email_verification:${user._id}:`) });
+    expect(message).not.toBeNull();
+    expect(message.idempotency_key).not.toContain(token);
+  });
+
+  it("refuses an email already registered", async () => {
+    await signup(app, "alan@example.com");
+    const { res } = await signup(app, "alan@example.com");
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("USER_ALREADY_REGISTERED");
+  });
+
+  it("refuses a weak password", async () => {
+    const { res } = await signup(app, "linus@example.com", "123");
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("PASSWORD_NOT_VALIDATED");
+  });
+});
+
+describe("POST /user/verify_email", () => {
+  it("verifies the address with the emailed token, once", async () => {
+    await signup(app, "barbara@example.com");
+    const token = await verificationToken("barbara@example.com");
+
+    const res = await request(app).post("/user/verify_email").send({ token });
+    expect(res.status).toBe(200);
+    expect((await UserObject.findOne({ email: "barbara@example.com" })).verified_at).toBeInstanceOf(Date);
+
+    const again = await request(app).post("/user/verify_email").send({ token });
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe("EMAIL_VERIFICATION_TOKEN_EXPIRED_OR_INVALID");
+  });
+
+  it("refuses an unknown token", async () => {
+    const res = await request(app).post("/user/verify_email").send({ token: "unknown" });
+    expect(res.status).toBe(400);
+  });
+});
@@ -1,10 +1,10 @@
 import { useEffect, useState } from 'react'
 import { BrowserRouter, Navigate, Outlet, Route, Routes } from 'react-router-dom'
 import { Toaster } from 'react-hot-toast'
-import * as Sentry from '@sentry/browser'
 
 import Auth from '@/scenes/auth'
 import Home from '@/scenes/home'
+import Dev from '@/scenes/dev'
 
 import useStore from '@/services/store'
 
@@ -13,15 +13,19 @@ import Navbar from '@/components/NavBar'
 import TopBar from '@/components/TopBar'
 import Loader from '@/components/loader'
 
+import { environment } from '@/config'
 import api from '@/services/api'
+import { initSentry, setSentryUser, capture } from '@/services/sentry'
 
-import { environment, SENTRY_URL } from './config'
-
-if (environment === 'production') {
-  Sentry.init({ dsn: SENTRY_URL, environment: 'app' })
-}
+initSentry()
 
 export default function App() {
+  const { user } = useStore()
+
+  useEffect(() => {
+    setSentryUser(user)
+  }, [user])
+
   return (
     <BrowserRouter>
       <Routes>
@@ -30,6 +34,7 @@ export default function App() {
         </Route>
         <Route element={<UserLayout />}>
           <Route path='/' element={<Home />} />
+          {environment !== 'production' && <Route path='/dev/*' element={<Dev />} />}
         </Route>
         <Route path='*' element={<Navigate to='/' />} />
       </Routes>
@@ -63,7 +68,7 @@ const UserLayout = () => {
       api.setToken(token)
       setUser(user)
     } catch (e) {
-      console.log(e)
+      capture(e)
       setUser(null)
     } finally {
       setLoading(false)
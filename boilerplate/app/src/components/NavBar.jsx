@@ -1,17 +1,26 @@
 import React, { useEffect, useState } from 'react'
 import { Link, useLocation } from 'react-router-dom'
 
-import { AiOutlineHome } from 'react-icons/ai'
+import { AiOutlineHome, AiOutlineMail } from 'react-icons/ai'
 
 import Logo from '@/assets/Logo-White.png'
+import { environment } from '@/config'
+import useStore from '@/services/store'
+import { hasPermission } from '@/utils'
 
-const MENU = [{ title: 'Home', to: '/home', logo: <AiOutlineHome className='h-6 w-6' /> }]
+// Entries with a `permission` are only shown to users whose role grants it. The API has no mailbox in production.
+const MENU = [
+  { title: 'Home', to: '/home', logo: <AiOutlineHome className='h-6 w-6' /> },
+  environment !== 'production' && { title: 'Mailbox', to: '/dev/mailbox', logo: <AiOutlineMail className='h-6 w-6' />, permission: 'mailbox:read' }
+].filter(Boolean)
 
 const Navbar = () => {
   const [selected, setSelected] = useState(0)
+  const { user } = useStore()
+  const entries = MENU.filter(e => !e.permission || hasPermission(user, e.permission))
 
   useEffect(() => {
-    const index = MENU.findIndex(e => location.pathname.includes(e.to))
+    const index = entries.findIndex(e => location.pathname.includes(e.to))
     setSelected(index)
   }, [location])
 
@@ -20,7 +29,7 @@ const Navbar = () => {
       <div className='flex flex-col gap-5 justify-between p-2 pl-4'>
         <img className='w-3/4 mt-5 mb-16 mr-5' alt='logo' src={Logo} />
         <div>
-          {MENU.map((menu, index) => (
+          {entries.map((menu, index) => (
             <Link
               to={menu.to}
               key={menu.title}
@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from 'react'
+import toast from 'react-hot-toast'
+import { useNavigate } from 'react-router-dom'
+
+import Modal from '@/components/modal'
+import Loader from '@/components/loader'
+import useStore from '@/services/store'
+import api from '@/services/api'
+import { capture } from '@/services/sentry'
+import { describeUserAgent } from '@/utils'
+
+const SessionsPanel = ({ isOpen, onClose }) => {
+  const [sessions, setSessions] = useState(null)
+  const { setUser } = useStore()
+  const navigate = useNavigate()
+
+  async function fetchSessions() {
+    try {
+      const { ok, data, code } = await api.get('/user/sessions')
+      if (!ok) throw { code }
+      setSessions(data)
+    } catch (e) {
+      capture(e)
+      toast.error('Could not load your sessions')
+    }
+  }
+
+  useEffect(() => {
+    if (isOpen) fetchSessions()
+  }, [isOpen])
+
+  const handleRevoke = async session => {
+    try {
+      const { ok, code } = await api.remove(`/user/sessions/${session._id}`)
+      if (!ok) throw { code }
+      if (session.current) {
+        setUser(null)
+        api.removeToken()
+        navigate('/auth')
+        return
+      }
+      setSessions(sessions.filter(s => s._id !== session._id))
+      toast.success('Session revoked')
+    } catch (e) {
+      capture(e)
+      toast.error(`Error\n${e && e.code}`)
+    }
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} className='w-full max-w-xl'>
+      <div className='p-8'>
+        <h2 className='text-xl font-semibold mb-1'>Active sessions</h2>
+        <p className='text-sm text-gray-500 mb-6'>Devices currently signed in to your account.</p>
+        {!sessions ? (
+          <Loader size='small' />
+        ) : (
+          <ul className='divide-y divide-gray-200'>
+            {sessions.map(session => (
+              <li key={session._id} className='flex items-center justify-between py-3 gap-4'>
+                <div className='text-sm'>
+                  <p className='font-medium text-gray-900'>
+                    {describeUserAgent(session.user_agent)}
+                    {session.current && <span className='ml-2 rounded-full bg-green-100 text-green-800 px-2 py-0.5 text-xs'>This device</span>}
+                  </p>
+                  <p className='text-gray-500'>
+                    {session.ip || 'Unknown IP'} · Last seen {new Date(session.last_seen_at).toLocaleString()} · Signed in {new Date(session.createdAt).toLocaleString()}
+                  </p>
+                </div>
+                <button className='shrink-0 rounded-md border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50' onClick={() => handleRevoke(session)}>
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </Modal>
+  )
+}
+
+export default SessionsPanel
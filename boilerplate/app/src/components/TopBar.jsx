@@ -3,9 +3,11 @@ import { Link, useNavigate } from 'react-router-dom'
 import { Menu, Transition } from '@headlessui/react'
 import { TbLogout } from 'react-icons/tb'
 import { LuUserCircle } from 'react-icons/lu'
+import { MdOutlineDevices } from 'react-icons/md'
 
 import useStore from '@/services/store'
 import api from '@/services/api'
+import SessionsPanel from '@/components/SessionsPanel'
 
 const TopBar = () => {
   return (
@@ -17,48 +19,75 @@ const TopBar = () => {
 
 const ProfileMenu = () => {
   const { user, setUser } = useStore()
+  const [sessionsOpen, setSessionsOpen] = useState(false)
   const navigate = useNavigate()
 
   const handleLogout = async () => {
+    await api.post('/user/logout')
+    setUser(null)
+    api.removeToken()
+    navigate('/auth')
+  }
+
+  const handleLogoutAll = async () => {
+    await api.post('/user/logout_all')
     setUser(null)
     api.removeToken()
     navigate('/auth')
   }
 
   return (
-    <Menu as='div' className='relative flex items-center'>
-      <Menu.Button>
-        {user.avatar ? (
-          <img className='h-10 w-10 rounded-full border border-secondary object-contain' src={user.avatar} alt='' />
-        ) : (
-          <span className='h-10 w-10 rounded-full border border-secondary bg-white flex items-center justify-center uppercase font-bold text-gray-800 text-sm'>
-            {user.first_name[0]}
-            {user.last_name[0]}
-          </span>
-        )}
-      </Menu.Button>
+    <>
+      <Menu as='div' className='relative flex items-center'>
+        <Menu.Button>
+          {user.avatar ? (
+            <img className='h-10 w-10 rounded-full border border-secondary object-contain' src={user.avatar_thumbnail || user.avatar} alt='' />
+          ) : (
+            <span className='h-10 w-10 rounded-full border border-secondary bg-white flex items-center justify-center uppercase font-bold text-gray-800 text-sm'>
+              {(user.name || user.email)[0]}
+            </span>
+          )}
+        </Menu.Button>
 
-      <Transition
-        as={Fragment}
-        enter='transition ease-out duration-100'
-        enterFrom='transform opacity-0 scale-95'
-        enterTo='transform opacity-100 scale-100'
-        leave='transition ease-in duration-75'
-        leaveFrom='transform opacity-100 scale-100'
-        leaveTo='transform opacity-0 scale-95'
-      >
-        <Menu.Items className='absolute top-10 right-0 mt-2 rounded-b-md bg-white border p-2 z-10'>
-          <Menu.Item>
-            {({ active }) => (
-              <button className={`${active ? 'bg-gray-600' : 'bg-primary'} text-white w-44 flex items-center justify-between rounded-md px-4 py-2 text-sm`} onClick={handleLogout}>
-                Se deconnecter
-                <TbLogout className='ml-2 h-5 w-5 text-white' aria-hidden='true' />
-              </button>
-            )}
-          </Menu.Item>
-        </Menu.Items>
-      </Transition>
-    </Menu>
+        <Transition
+          as={Fragment}
+          enter='transition ease-out duration-100'
+          enterFrom='transform opacity-0 scale-95'
+          enterTo='transform opacity-100 scale-100'
+          leave='transition ease-in duration-75'
+          leaveFrom='transform opacity-100 scale-100'
+          leaveTo='transform opacity-0 scale-95'
+        >
+          <Menu.Items className='absolute top-10 right-0 mt-2 rounded-b-md bg-white border p-2 z-10'>
+            <Menu.Item>
+              {({ active }) => (
+                <button className={`${active ? 'bg-gray-100' : 'bg-white'} text-gray-800 w-44 mb-2 flex items-center justify-between rounded-md px-4 py-2 text-sm`} onClick={() => setSessionsOpen(true)}>
+                  Sessions actives
+                  <MdOutlineDevices className='ml-2 h-5 w-5 text-gray-800' aria-hidden='true' />
+                </button>
+              )}
+            </Menu.Item>
+            <Menu.Item>
+              {({ active }) => (
+                <button className={`${active ? 'bg-gray-600' : 'bg-primary'} text-white w-44 flex items-center justify-between rounded-md px-4 py-2 text-sm`} onClick={handleLogout}>
+                  Se deconnecter
+                  <TbLogout className='ml-2 h-5 w-5 text-white' aria-hidden='true' />
+                </button>
+              )}
+            </Menu.Item>
+            <Menu.Item>
+              {({ active }) => (
+                <button className={`${active ? 'bg-gray-100' : 'bg-white'} text-gray-800 w-44 mt-2 flex items-center justify-between rounded-md px-4 py-2 text-sm`} onClick={handleLogoutAll}>
+                  Deconnecter partout
+                  <TbLogout className='ml-2 h-5 w-5 text-gray-800' aria-hidden='true' />
+                </button>
+              )}
+            </Menu.Item>
+          </Menu.Items>
+        </Transition>
+      </Menu>
+      <SessionsPanel isOpen={sessionsOpen} onClose={() => setSessionsOpen(false)} />
+    </>
   )
 }
 
@@ -1,50 +1,84 @@
-import React, { useState, useRef, Fragment } from 'react'
+import React, { useState, useRef, useEffect, Fragment } from 'react'
 import { Popover, Transition } from '@headlessui/react'
+import toast from 'react-hot-toast'
 import { BiDotsVerticalRounded } from 'react-icons/bi'
 import { MdOutlineModeEdit, MdDeleteOutline } from 'react-icons/md'
 
 import api from '../services/api'
-import { AiFillFilePdf } from 'react-icons/ai'
+import { AiFillFile, AiFillFilePdf } from 'react-icons/ai'
 
+const UPLOAD_ERRORS = {
+  FILE_TOO_LARGE: 'This file is too large',
+  FILE_TYPE_NOT_ALLOWED: 'This type of file is not allowed',
+  TOO_MANY_FILES: 'Too many files at once',
+  SCAN_UNAVAILABLE: 'Files cannot be checked right now, please try again later',
+}
+
+// Reasons given with FILE_REJECTED by the api scanners
+const REJECTION_REASONS = {
+  EXTENSION_MISMATCH: 'The file extension does not match its content',
+  INVALID_ARCHIVE: 'This archive is damaged',
+  ARCHIVE_BOMB: 'This archive expands to an unsafe size',
+  MALWARE_DETECTED: 'This file was flagged as unsafe',
+}
+
+function uploadError({ code, details }) {
+  const reason = details?.reason
+  if (code === 'FILE_REJECTED') return REJECTION_REASONS[reason] || `File rejected\n${reason}`
+  return UPLOAD_ERRORS[code] || `Error\n${code}`
+}
+
+// `value` is the id of a file uploaded through POST /file
 const FileInput = ({ value, onChange, name, folder }) => {
   const [loading, setLoading] = useState(false)
+  const [progress, setProgress] = useState(0)
+  const [file, setFile] = useState(null)
   const inputRef = useRef(null)
   let preview = null
 
-  if (!value) {
+  // Private files come with a signed url, fetched again whenever the value changes
+  useEffect(() => {
+    if (!value) return setFile(null)
+    api.get(`/file/${value}`).then(res => setFile(res.ok ? res.data : null))
+  }, [value])
+
+  if (!file) {
     preview = null
-  } else if (value.indexOf('.pdf') !== -1) {
-    console.log('pdf')
+  } else if (!file.type.startsWith('image/')) {
     preview = (
       <div className='absolute top-0 left-0 w-20 h-20 bg-gray-300 opacity-80 hover:opacity-90 flex items-center justify-center cursor-pointer text-[12px] text-black font-normal'>
-        <AiFillFilePdf size={48} />
+        {file.type === 'application/pdf' ? <AiFillFilePdf size={48} /> : <AiFillFile size={48} />}
       </div>
     )
   } else {
-    preview = <img className='' src={value} alt='user.png' />
+    const thumbnail = file.variants.find(variant => variant.name === 'thumbnail')
+    preview = <img className='' src={thumbnail ? thumbnail.url : file.url} alt={file.name} />
   }
 
   const handleDeleteFile = async () => {
+    const res = await api.remove(`/file/${value}`)
+    if (!res.ok) return toast.error(`Error\n${res.code}`)
     onChange({ target: { value: '', name } })
   }
 
   const handleFileChange = async e => {
-    setLoading(true)
-
-    const files = []
+    const files = Array.from(e.target.files)
+    // Lets the same file be picked again after an error
+    e.target.value = ''
+    if (!files.length) return
 
-    const f = e.target.files
+    setLoading(true)
+    setProgress(0)
+    try {
+      const res = await api.upload(`/file?folder=${folder}`, files, { onProgress: setProgress })
+      if (!res.ok) return toast.error(uploadError(res))
 
-    for (let i = 0; i < f.length; i++) {
-      const file = f[i]
-      const rawBody = await readFileAsync(file)
-      files.push({ rawBody, name: file.name })
+      onChange({ target: { value: res.data[0]._id, name } })
+    } catch (e) {
+      toast.error('Upload failed')
+    } finally {
+      setLoading(false)
     }
-
-    const { data } = await api.post(`/file`, { files, folder })
-
-    onChange({ target: { value: data } })
-    setLoading(false)
   }
 
   return (
@@ -52,8 +86,11 @@ const FileInput = ({ value, onChange, name, folder }) => {
       <input ref={inputRef} id={`openFile-${name}`} type='file' onChange={handleFileChange} className='hidden' />
 
       {loading ? (
-        <div className='w-full h-full flex justify-center items-center'>
-          <span>Loading...</span>
+        <div className='w-full h-full flex flex-col gap-1 justify-center items-center px-2'>
+          <span className='text-xs'>{Math.round(progress * 100)}%</span>
+          <div className='w-full h-1 bg-gray-200 rounded-full overflow-hidden'>
+            <div className='h-full bg-gray-600' style={{ width: `${progress * 100}%` }} />
+          </div>
         </div>
       ) : (
         <button type='button' className='bg-gray-200 w-full h-full text-xs p-2 flex justify-center items-center' onClick={() => inputRef.current.click()}>
@@ -99,12 +136,3 @@ const FileInput = ({ value, onChange, name, folder }) => {
 }
 
 export default FileInput
-
-function readFileAsync(file) {
-  return new Promise((resolve, reject) => {
-    let reader = new FileReader()
-    reader.onload = () => resolve(reader.result)
-    reader.onerror = reject
-    reader.readAsDataURL(file)
-  })
-}
@@ -5,6 +5,7 @@ import { RxAvatar } from 'react-icons/rx'
 
 import api from '@/services/api'
 import useStore from '@/services/store'
+import { capture } from '@/services/sentry'
 
 import Logo from '@/assets/logo.svg'
 
@@ -17,7 +18,7 @@ const Header = ({}) => {
       if (!res.ok) throw new Error('Something went wrong')
       setUser(null)
     } catch (error) {
-      console.log(error)
+      capture(error)
     }
   }
 
@@ -2,15 +2,19 @@ import React from "react";
 import { useTranslation } from "react-i18next";
 import { IoIosArrowBack, IoIosArrowForward } from "react-icons/io";
 
+// Takes the envelope returned by the api search endpoints: { total, limit, offset, next_cursor }.
+// `onChange` receives the paging params of the page to load, to merge into the next search body.
 export default function Pagination({
   total,
-  per_page = 10,
-  currentPage = 1,
-  onNext = () => { },
-  onPrevious = () => { },
+  limit = 10,
+  offset = 0,
+  next_cursor = null,
+  onChange = () => { },
 }) {
   const { t } = useTranslation('components')
 
+  const currentPage = Math.floor(offset / limit) + 1
+
   return total > 0 ? (
     <div className="flex items-center justify-between py-1">
       <div className="flex flex-1 items-center justify-between">
@@ -18,11 +22,11 @@ export default function Pagination({
           <p className="p-3 text-black-90 text-sm md:text-base">
             {t('showing')}&nbsp;
             <span className="font-medium">
-              {(currentPage - 1) * per_page + 1}
+              {offset + 1}
             </span>&nbsp;
             {t('to')}&nbsp;
             <span className="font-medium">
-              {Math.min(total, currentPage * per_page)}
+              {Math.min(total, offset + limit)}
             </span>&nbsp;
             {t('of')} <span className="font-medium">{total}</span> {t('result', { count: total })}
           </p>
@@ -33,8 +37,8 @@ export default function Pagination({
             aria-label={t("pagination")}
           >
             <button
-              disabled={currentPage <= 1}
-              onClick={onPrevious}
+              disabled={offset <= 0}
+              onClick={() => onChange({ offset: Math.max(0, offset - limit) })}
               className="relative inline-flex items-center rounded-l-md px-2 py-2 text-gray-400 ring-1 ring-inset ring-gray-300 hover:bg-gray-50 focus:z-20 focus:outline-offset-0 disabled:opacity-50"
             >
               <IoIosArrowBack className="h-5 w-5" aria-hidden="true" />
@@ -44,8 +48,8 @@ export default function Pagination({
             </span>
 
             <button
-              disabled={currentPage * per_page >= total}
-              onClick={onNext}
+              disabled={!next_cursor}
+              onClick={() => onChange({ cursor: next_cursor })}
               className="relative inline-flex items-center rounded-r-md px-2 py-2 text-gray-400 ring-1 ring-inset ring-gray-300 hover:bg-gray-50 focus:z-20 focus:outline-offset-0 disabled:opacity-50"
             >
               <IoIosArrowForward className="h-5 w-5" aria-hidden="true" />
@@ -6,9 +6,9 @@ if (environment === 'production') {
   apiURL = 'your production url'
 }
 
-const SENTRY_URL = 'YOUR_SENTRY_URL'
-
-
+// Set at build time: errors are only reported with a DSN, and tagged with the release, the deployed commit or version
+const SENTRY_DSN = import.meta.env.VITE_SENTRY_DSN || ''
+const RELEASE = import.meta.env.VITE_RELEASE || ''
 
 function getEnvironment() {
   if (window.location.href.indexOf('app-staging') !== -1) return 'staging'
@@ -16,4 +16,4 @@ function getEnvironment() {
   return 'production'
 }
 
-export { apiURL, SENTRY_URL, environment }
+export { apiURL, SENTRY_DSN, RELEASE, environment }
@@ -5,6 +5,7 @@ import Reset from './reset'
 import Forgot from './forgot'
 import Signin from './signin'
 import Signup from './signup'
+import Verify from './verify'
 
 const Auth = () => {
   return (
@@ -13,6 +14,7 @@ const Auth = () => {
       <Route path='/reset' element={<Reset />} />
       <Route path='/forgot' element={<Forgot />} />
       <Route path='/signup' element={<Signup />} />
+      <Route path='/verify' element={<Verify />} />
     </Routes>
   )
 }
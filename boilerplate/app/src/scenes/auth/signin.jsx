@@ -1,14 +1,18 @@
 import React, { useState } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
+import { QRCodeSVG } from 'qrcode.react'
 import store from '@/services/store'
 import toast from 'react-hot-toast'
 
 import LoadingButton from '../../components/loadingButton'
 
 import api from '../../services/api'
+import { capture } from '../../services/sentry'
 
 export default () => {
   const [values, setValues] = useState({ email: 'admin@selego.co', password: 'abc123$$' })
+  // Set when the password step asks for a second factor
+  const [mfa, setMfa] = useState(null)
 
   const { user, setUser } = store()
 
@@ -16,17 +20,22 @@ export default () => {
 
   const send = async () => {
     try {
-      const { user, token } = await api.post(`/user/signin`, values)
+      const res = await api.post(`/user/signin`, values)
+      if (res.mfa_required || res.mfa_enrollment_required) return setMfa(res)
+      const { user, token } = res
       if (token) api.setToken(token)
       if (user) setUser(user)
     } catch (e) {
-      console.log('e', e)
+      capture(e)
+      if (e.code === 'ACOUNT_NOT_ACTIVATED') return navigate(`/auth/verify?email=${encodeURIComponent(values.email)}`)
       toast.error(e.code)
     }
   }
 
   if (user) navigate('/')
 
+  if (mfa) return <MfaStep mfa={mfa} onCancel={() => setMfa(null)} />
+
   return (
     // Auth Wrapper
     <div>
@@ -37,7 +46,7 @@ export default () => {
             if (token) api.setToken(token)
             if (user) setUser(user)
           } catch (e) {
-            console.log('e', e)
+            capture(e)
             toast.error(e.code)
           }
           actions.setSubmitting(false)
@@ -90,3 +99,105 @@ export default () => {
     </div>
   )
 }
+
+const MfaStep = ({ mfa, onCancel }) => {
+  const [code, setCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [session, setSession] = useState(null)
+
+  const { setUser } = store()
+
+  const send = async () => {
+    try {
+      const body = useRecoveryCode ? { mfa_token: mfa.mfa_token, recovery_code: code } : { mfa_token: mfa.mfa_token, code }
+      const { user, token, recovery_codes } = await api.post(`/user/signin/mfa`, body)
+      if (token) api.setToken(token)
+      // Freshly enrolled: show the recovery codes before entering the app
+      if (recovery_codes) {
+        setRecoveryCodes(recovery_codes)
+        setSession(user)
+        return
+      }
+      if (user) setUser(user)
+    } catch (e) {
+      capture(e)
+      toast.error(e.code)
+      if (e.code === 'MFA_TOKEN_EXPIRED_OR_INVALID') onCancel()
+    }
+  }
+
+  if (recoveryCodes) {
+    return (
+      <div className='max-w-sm'>
+        <div className='text-center text-xl font-semibold mb-4'>Save your recovery codes</div>
+        <p className='text-sm text-gray-600 mb-4'>Each code can be used once to sign in if you lose access to your authenticator app. They will not be shown again.</p>
+        <ul className='grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 border border-gray-200 rounded-md p-4 mb-6'>
+          {recoveryCodes.map(c => (
+            <li key={c}>{c}</li>
+          ))}
+        </ul>
+        <LoadingButton
+          className='font-[Helvetica] w-[220px] bg-[#007bff] hover:bg-[#0069d9] text-[#fff] rounded-[30px] m-auto block text-[16px] p-[8px] min-h-[42px] '
+          onClick={() => setUser(session)}
+        >
+          Continue
+        </LoadingButton>
+      </div>
+    )
+  }
+
+  return (
+    <div className='max-w-sm'>
+      <div className='text-center text-xl font-semibold mb-4'>Two-factor authentication</div>
+      {mfa.mfa_enrollment_required ? (
+        <div className='mb-6 text-sm text-gray-600'>
+          <p className='mb-4'>Your account requires two-factor authentication. Scan this QR code with your authenticator app, then enter the code it displays.</p>
+          <div className='flex justify-center mb-4'>
+            <QRCodeSVG value={mfa.otpauth_uri} size={180} />
+          </div>
+          <p className='text-center text-xs'>
+            Or enter this key manually: <span className='font-mono break-all'>{mfa.secret}</span>
+          </p>
+        </div>
+      ) : (
+        <p className='mb-6 text-sm text-gray-600'>{useRecoveryCode ? 'Enter one of your recovery codes.' : 'Enter the code from your authenticator app.'}</p>
+      )}
+      <div className='mb-[25px]'>
+        <div className='flex flex-col-reverse'>
+          <input
+            className='peer signInInputs'
+            name='code'
+            id='code'
+            autoComplete='one-time-code'
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            value={code}
+            onChange={e => setCode(e.target.value)}
+          />
+          <label className='peer-focus:text-[#116eee]' htmlFor='code'>
+            {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+          </label>
+        </div>
+      </div>
+      {mfa.mfa_required && (
+        <div className='text-right mb-[20px] mt-[-20px] text-[12px]'>
+          <button type='button' onClick={() => setUseRecoveryCode(!useRecoveryCode)}>
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+        </div>
+      )}
+      <LoadingButton
+        className='font-[Helvetica] w-[220px] bg-[#007bff] hover:bg-[#0069d9] text-[#fff] rounded-[30px] m-auto block text-[16px] p-[8px] min-h-[42px] '
+        onClick={send}
+        color='primary'
+      >
+        Verify
+      </LoadingButton>
+      <div className='mt-10 text-center text-sm'>
+        <button type='button' className='text-primary' onClick={onCancel}>
+          Back to signin
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -19,7 +19,8 @@ export default () => {
 
   const send = async () => {
     try {
-      const { user, token } = await api.post(`/user/signup`, values)
+      const { user, token, verification_required } = await api.post(`/user/signup`, values)
+      if (verification_required) return navigate(`/auth/verify?email=${encodeURIComponent(values.email)}`)
       if (token) api.setToken(token)
       if (user) setUser(user)
     } catch (e) {
@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react'
+import queryString from 'query-string'
+import toast from 'react-hot-toast'
+import { Link, useLocation } from 'react-router-dom'
+
+import api from '../../services/api'
+import { capture } from '../../services/sentry'
+import LoadingButton from '../../components/loadingButton'
+import Loader from '../../components/loader'
+
+export default () => {
+  const location = useLocation()
+  const { token, email: initialEmail } = queryString.parse(location.search)
+
+  // 'pending' while the token is checked, then 'verified' or 'failed'. Without token, the page only offers to resend the link.
+  const [status, setStatus] = useState(token ? 'pending' : 'waiting')
+  const [email, setEmail] = useState(initialEmail || '')
+
+  const verify = async () => {
+    try {
+      const res = await api.post('/user/verify_email', { token })
+      if (!res.ok) throw res
+      setStatus('verified')
+    } catch (e) {
+      capture(e)
+      setStatus('failed')
+    }
+  }
+
+  const resend = async () => {
+    try {
+      const res = await api.post('/user/verify_email/resend', { email })
+      if (!res.ok) throw res
+      toast.success('A new link has been sent if this address needs to be verified')
+    } catch (e) {
+      toast.error(e.code === 'EMAIL_VERIFICATION_ALREADY_SENT' ? 'Please wait a minute before asking for a new link' : `Error\n${e && e.code}`)
+    }
+  }
+
+  useEffect(() => {
+    if (token) verify()
+  }, [token])
+
+  if (status === 'pending') return <Loader />
+
+  if (status === 'verified') {
+    return (
+      <div className='authWrapper font-myfont'>
+        <div className='font-[Helvetica] text-center text-[32px] font-semibold	mb-[15px]'>Email verified</div>
+        <div className='text-[16px] text-center mb-[30px] py-0	px-[30px] text-[#555]'>Your email address has been verified, you can now sign in.</div>
+        <div className='text-center text-sm'>
+          <Link className='text-primary' to='/auth'>
+            Signin
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className='authWrapper font-myfont'>
+      <div className='font-[Helvetica] text-center text-[32px] font-semibold	mb-[15px]'>Verify your email</div>
+      <div className='text-[16px] text-center mb-[30px] py-0	px-[30px] text-[#555]'>
+        {status === 'failed'
+          ? 'This verification link is invalid or has expired. Enter your email address to receive a new one.'
+          : 'A verification link has been sent to your email address. Please check your inbox and follow the link to activate your account.'}
+      </div>
+      <div className='mb-[25px]'>
+        <div className='flex flex-col-reverse'>
+          <input className='peer signInInputs' name='email' type='email' id='email' value={email} onChange={e => setEmail(e.target.value)} />
+          <label className='peer-focus:text-[#116eee]' htmlFor='email'>
+            E-mail address
+          </label>
+        </div>
+      </div>
+      <LoadingButton
+        className='font-[Helvetica] w-[220px] bg-[#28a745] text-[#fff] rounded-[30px] m-auto block text-[16px] p-[8px] min-h-[42px] '
+        onClick={resend}
+      >
+        Resend link
+      </LoadingButton>
+      <div className='mt-10 text-center text-sm'>
+        <Link className='text-primary' to='/auth'>
+          Back to signin
+        </Link>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,15 @@
+import React from 'react'
+import { Route, Routes } from 'react-router-dom'
+
+import Mailbox from './mailbox'
+
+// Tools for development and QA, backed by the api /dev routes
+const Dev = () => {
+  return (
+    <Routes>
+      <Route path='/mailbox' element={<Mailbox />} />
+    </Routes>
+  )
+}
+
+export default Dev
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react'
+import toast from 'react-hot-toast'
+
+import Loader from '@/components/loader'
+import Pagination from '@/components/pagination'
+import api from '@/services/api'
+import { capture } from '@/services/sentry'
+
+const PAGE_SIZE = 20
+
+// Emails and SMS kept by the api "capture" transport instead of being sent
+export default function Mailbox() {
+  const [search, setSearch] = useState('')
+  const [paging, setPaging] = useState({})
+  const [page, setPage] = useState(null)
+  const [selected, setSelected] = useState(null)
+
+  async function fetchMessages() {
+    try {
+      const res = await api.post('/dev/mailbox/search', { search, sort: '-createdAt', limit: PAGE_SIZE, ...paging })
+      setPage(res)
+    } catch (e) {
+      capture(e)
+      toast.error(`Could not load the mailbox\n${e && e.code}`)
+    }
+  }
+
+  useEffect(() => {
+    fetchMessages()
+  }, [search, paging])
+
+  const handleSelect = async message => {
+    const { ok, data, code } = await api.get(`/dev/mailbox/${message._id}`)
+    if (!ok) return toast.error(`Error\n${code}`)
+    setSelected(data)
+  }
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete every captured message?')) return
+    const { ok, code } = await api.remove('/dev/mailbox')
+    if (!ok) return toast.error(`Error\n${code}`)
+    setSelected(null)
+    setPaging({})
+    fetchMessages()
+  }
+
+  return (
+    <div className='p-6 flex flex-col gap-4 h-[calc(100%-3.5rem)]'>
+      <div className='flex items-center justify-between gap-4'>
+        <h1 className='text-2xl font-semibold'>Mailbox</h1>
+        <div className='flex items-center gap-2'>
+          <input
+            className='rounded-md border border-gray-300 px-3 py-1 text-sm'
+            placeholder='Search recipient or subject'
+            value={search}
+            onChange={e => {
+              setSearch(e.target.value)
+              setPaging({})
+            }}
+          />
+          <button className='rounded-md border border-gray-300 px-3 py-1 text-sm hover:bg-gray-50' onClick={fetchMessages}>
+            Refresh
+          </button>
+          <button className='rounded-md border border-red-300 text-red-700 px-3 py-1 text-sm hover:bg-red-50' onClick={handleClear}>
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <div className='flex gap-4 flex-1 min-h-0'>
+        <div className='w-96 shrink-0 flex flex-col bg-white rounded-md border border-gray-200 overflow-hidden'>
+          {!page ? (
+            <Loader size='small' />
+          ) : (
+            <ul className='flex-1 overflow-auto divide-y divide-gray-200'>
+              {page.data.map(message => (
+                <li key={message._id}>
+                  <button
+                    className={`w-full text-left px-4 py-3 text-sm hover:bg-gray-50 ${selected && selected._id === message._id ? 'bg-gray-100' : ''}`}
+                    onClick={() => handleSelect(message)}
+                  >
+                    <div className='flex justify-between gap-2'>
+                      <span className='font-medium truncate'>{recipients(message)}</span>
+                      <span className='shrink-0 rounded-full bg-gray-100 px-2 text-xs uppercase text-gray-600'>{message.channel}</span>
+                    </div>
+                    <p className='truncate text-gray-700'>{message.channel === 'sms' ? message.content : message.subject}</p>
+                    <p className='text-xs text-gray-500'>{new Date(message.createdAt).toLocaleString()}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {page && <Pagination total={page.total} limit={page.limit} offset={page.offset} next_cursor={page.next_cursor} onChange={setPaging} />}
+        </div>
+
+        <div className='flex-1 min-w-0 bg-white rounded-md border border-gray-200 overflow-hidden'>
+          {selected ? <MessageView message={selected} /> : <p className='p-6 text-sm text-gray-500'>Select a message</p>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function recipients(message) {
+  if (message.channel === 'sms') return message.recipient
+  return message.to.map(({ email, name }) => (name ? `${name} <${email}>` : email)).join(', ')
+}
+
+const MessageView = ({ message }) => {
+  const [format, setFormat] = useState('html')
+
+  if (message.channel === 'sms') {
+    return (
+      <div className='p-6 text-sm'>
+        <p className='text-gray-500 mb-4'>
+          To {message.recipient} · {new Date(message.createdAt).toLocaleString()}
+          {message.tag && ` · ${message.tag}`}
+        </p>
+        <p className='whitespace-pre-wrap'>{message.content}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className='flex flex-col h-full'>
+      <div className='p-4 border-b border-gray-200 text-sm'>
+        <p className='font-semibold text-base'>{message.subject}</p>
+        <p className='text-gray-500'>
+          To {recipients(message)} · {new Date(message.createdAt).toLocaleString()}
+        </p>
+        <div className='mt-2 flex gap-2'>
+          {['html', 'text'].map(f => (
+            <button key={f} className={`rounded-md px-2 py-0.5 text-xs uppercase ${format === f ? 'bg-gray-800 text-white' : 'bg-gray-100'}`} onClick={() => setFormat(f)}>
+              {f}
+            </button>
+          ))}
+        </div>
+      </div>
+      {/* Sandboxed: captured emails may contain anything a template rendered */}
+      {format === 'html' ? (
+        <iframe title={message.subject} sandbox='' srcDoc={message.html} className='flex-1 w-full' />
+      ) : (
+        <pre className='flex-1 overflow-auto p-4 text-sm whitespace-pre-wrap'>{message.text}</pre>
+      )}
+    </div>
+  )
+}
@@ -2,6 +2,22 @@ import "isomorphic-fetch";
 
 import { apiURL } from "../config";
 
+// A 401 from these is about the credentials sent, not an expired access token: nothing to refresh
+const NO_REFRESH_PATHS = [
+  "/user/signin",
+  "/user/signin/mfa",
+  "/user/signup",
+  "/user/refresh",
+  "/user/logout",
+  "/user/forgot_password",
+  "/user/forgot_password_reset",
+  "/user/verify_email",
+  "/user/verify_email/resend",
+];
+// Tabs share the refresh_token cookie: the last refresh of any tab, and the lock they take turns with
+const REFRESHED_AT_KEY = "api_refreshed_at";
+const REFRESH_LOCK = "api_refresh";
+
 class api {
   constructor() {
     this.token = "";
@@ -15,10 +31,56 @@ class api {
     this.token = token;
   }
 
+  removeToken() {
+    this.token = "";
+  }
+
+  // Exchanges the refresh_token cookie for a new access token. Concurrent callers of the tab share the same request.
+  // Refresh tokens are single use, the API revokes the session when one is sent twice: tabs take turns through a lock,
+  // and skip refreshing when another tab did meanwhile.
+  refresh() {
+    if (!this.refreshing) {
+      const startedAt = Date.now();
+      const run = () => (Number(localStorage.getItem(REFRESHED_AT_KEY)) >= startedAt ? true : this.requestRefresh());
+      this.refreshing = Promise.resolve(navigator.locks ? navigator.locks.request(REFRESH_LOCK, run) : run())
+        .catch(() => false)
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  async requestRefresh() {
+    const response = await fetch(`${apiURL}/user/refresh`, {
+      mode: "cors",
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+    });
+    const res = await response.json();
+    if (!res.ok) return false;
+    this.setToken(res.token);
+    localStorage.setItem(REFRESHED_AT_KEY, String(Date.now()));
+    return true;
+  }
+
+  // Access tokens are short-lived: on a 401, refresh once and replay the request
+  async fetchWithRefresh(url, options) {
+    const response = await fetch(url, options);
+    if (response.status !== 401 || NO_REFRESH_PATHS.includes(url.slice(apiURL.length))) return response;
+
+    const refreshed = await this.refresh();
+    if (!refreshed) return response;
+
+    const headers = options.headers.Authorization ? { ...options.headers, Authorization: `JWT ${this.token}` } : options.headers;
+    return fetch(url, { ...options, headers });
+  }
+
   get(path) {
     return new Promise(async (resolve, reject) => {
       try {
-        const response = await fetch(`${apiURL}${path}`, {
+        const response = await this.fetchWithRefresh(`${apiURL}${path}`, {
           mode: "cors",
           method: "GET",
           credentials: "include",
@@ -36,7 +98,7 @@ class api {
   put(path, body) {
     return new Promise(async (resolve, reject) => {
       try {
-        const response = await fetch(`${apiURL}${path}`, {
+        const response = await this.fetchWithRefresh(`${apiURL}${path}`, {
           mode: "cors",
           method: "PUT",
           credentials: "include",
@@ -59,7 +121,7 @@ class api {
     return new Promise(async (resolve, reject) => {
       try {
         console.log(`${apiURL}${path}`);
-        const response = await fetch(`${apiURL}${path}`, {
+        const response = await this.fetchWithRefresh(`${apiURL}${path}`, {
           mode: "cors",
           method: "POST",
           credentials: "include",
@@ -76,10 +138,39 @@ class api {
     });
   }
 
+  // Sends `files` as multipart form data. Uses XHR as fetch cannot report upload progress:
+  // `onProgress` receives the ratio of bytes sent, between 0 and 1.
+  upload(path, files, { onProgress = () => {} } = {}, retried = false) {
+    const formData = new FormData();
+    for (const file of files) formData.append("files", file, file.name);
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open("POST", `${apiURL}${path}`);
+      xhr.withCredentials = true;
+      xhr.setRequestHeader("Authorization", `JWT ${this.token}`);
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+      };
+      xhr.onload = async () => {
+        if (xhr.status === 401 && !retried && (await this.refresh())) {
+          return resolve(this.upload(path, files, { onProgress }, true));
+        }
+        try {
+          resolve(JSON.parse(xhr.responseText));
+        } catch (e) {
+          reject(e);
+        }
+      };
+      xhr.onerror = () => reject(new Error("Network error"));
+      xhr.send(formData);
+    });
+  }
+
   remove(path) {
     return new Promise(async (resolve, reject) => {
       try {
-        const response = await fetch(`${apiURL}${path}`, {
+        const response = await this.fetchWithRefresh(`${apiURL}${path}`, {
           mode: "cors",
           credentials: "include",
           method: "DELETE",
@@ -96,7 +187,7 @@ class api {
   post(path, body) {
     return new Promise(async (resolve, reject) => {
       try {
-        const response = await fetch(`${apiURL}${path}`, {
+        const response = await this.fetchWithRefresh(`${apiURL}${path}`, {
           mode: "cors",
           method: "POST",
           credentials: "include",
@@ -117,7 +208,7 @@ class api {
   download(path, body) {
     return new Promise(async (resolve, reject) => {
       try {
-        const response = await fetch(`${apiURL}${path}`, {
+        const response = await this.fetchWithRefresh(`${apiURL}${path}`, {
           mode: "cors",
           method: "POST",
           credentials: "include",
@@ -0,0 +1,32 @@
+import * as Sentry from '@sentry/browser'
+
+import { apiURL, environment, SENTRY_DSN, RELEASE } from '@/config'
+
+// Traces follow the calls to the API, whose own traces and logs carry on from there
+export function initSentry() {
+  if (!SENTRY_DSN) return
+  Sentry.init({
+    dsn: SENTRY_DSN,
+    environment,
+    release: RELEASE || undefined,
+    integrations: [new Sentry.BrowserTracing({ tracePropagationTargets: [apiURL] })],
+    tracesSampleRate: environment === 'production' ? 0.1 : 1,
+    initialScope: { tags: { service: 'app' } }
+  })
+}
+
+export function setSentryUser(user) {
+  Sentry.setUser(user ? { id: user._id, username: user.name, email: user.email } : null)
+}
+
+// Same helper as the API's: capture(error, { extra, tags }). API errors are tagged with their code and request_id.
+export function capture(error, { extra, tags } = {}) {
+  console.error(error)
+  Sentry.withScope(scope => {
+    if (error?.code) scope.setTag('code', error.code)
+    if (error?.request_id) scope.setTag('request_id', error.request_id)
+    if (tags) scope.setTags(tags)
+    if (extra) scope.setExtras(extra)
+    Sentry.captureException(error)
+  })
+}
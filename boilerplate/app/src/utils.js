@@ -9,6 +9,13 @@ export function classNames(...classes) {
   return classes.filter(Boolean).join(' ')
 }
 
+// Same rules as the api services/rbac: "*" grants everything, "user:*" every permission on users
+export function hasPermission(user, permission) {
+  const granted = (user && user.role && user.role.permissions) || []
+  const [resource] = permission.split(':')
+  return granted.includes('*') || granted.includes(`${resource}:*`) || granted.includes(permission)
+}
+
 export function formatDateToYYYYMMDD(isoDateString) {
   const date = new Date(isoDateString)
   const year = date.getFullYear()
@@ -18,3 +25,24 @@ export function formatDateToYYYYMMDD(isoDateString) {
   const formattedDay = day < 10 ? `0${day}` : day
   return `${year}-${formattedMonth}-${formattedDay}`
 }
+
+// Short "Browser on OS" label for a user agent string
+export function describeUserAgent(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, regex]) => regex.test(userAgent))
+  const os = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, regex]) => regex.test(userAgent))
+
+  if (!browser && !os) return userAgent || 'Unknown device'
+  return `${browser ? browser[0] : 'Unknown browser'} on ${os ? os[0] : 'unknown OS'}`
+}